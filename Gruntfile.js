@@ -47,7 +47,7 @@ module.exports = function(grunt) {
             }
         },
         jsbeautifier: {
-            files: JS_FILES.concat(["app/views/**", "app/assets/css/**"]),
+            files: JS_FILES.concat(["app/views/**", "!app/views/**/*.md", "app/assets/css/**"]),
             options: {
                 html: {
                     braceStyle: "collapse",
@@ -177,6 +177,35 @@ module.exports = function(grunt) {
         );
     });
 
+    grunt.registerTask("lab-reset", "Restore the data of a single user, or of one tutorial module, to the seed state." +
+        " ie: grunt lab-reset:user1 or grunt lab-reset:user1:a3", function(userName, module) {
+        var finalEnv = process.env.NODE_ENV || "development";
+        var done;
+
+        if (!userName) {
+            grunt.log.error("lab-reset: a user name is required, ie: grunt lab-reset:user1");
+            return false;
+        }
+
+        done = this.async();
+        var cmd = process.platform === "win32" ? "NODE_ENV=" + finalEnv + " & " : "NODE_ENV=" + finalEnv + " ";
+
+        exec(
+            cmd + "node artifacts/lab-reset.js " + userName + (module ? " " + module : ""),
+            function(err, stdout, stderr) {
+                if (err) {
+                    grunt.log.error("lab-reset:");
+                    grunt.log.error(err);
+                    grunt.log.error(stdout);
+                    grunt.log.error(stderr);
+                } else {
+                    grunt.log.ok(stdout);
+                }
+                done();
+            }
+        );
+    });
+
     // Code Validation, beautification task(s).
     grunt.registerTask("precommit", ["jsbeautifier", "jshint"]);
 
@@ -0,0 +1,35 @@
+/* globals $ */
+
+// Saves the preferences page as JSON, the way the API behind it expects them
+$("#preferences-form").on("submit", function(event) {
+    "use strict";
+
+    const $form = $(this);
+    const $result = $("#preferences-result");
+    const preferences = {
+        theme: $("#theme").val(),
+        currency: $("#currency").val(),
+        statements: $("#statements").val(),
+        notifications: {
+            email: $("#notify-email").is(":checked"),
+            sms: $("#notify-sms").is(":checked")
+        }
+    };
+
+    event.preventDefault();
+
+    $.ajax({
+        url: $form.attr("action"),
+        method: "POST",
+        contentType: "application/json",
+        headers: {
+            "CSRF-Token": $form.data("csrf")
+        },
+        data: JSON.stringify(preferences)
+    }).done(() => {
+        $result.removeClass("alert-danger").addClass("alert-success").text("Preferences saved.").show();
+    }).fail(xhr => {
+        const error = xhr.responseJSON && xhr.responseJSON.error || "Unable to save the preferences.";
+        $result.removeClass("alert-success").addClass("alert-danger").text(error).show();
+    });
+});
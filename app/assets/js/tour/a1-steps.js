@@ -0,0 +1,30 @@
+/* globals registerTour, menuLinkPath */
+
+registerTour("a1", [{
+    path: "/tutorial/a1",
+    title: "A1 Injection",
+    content: "This tour takes you to two places where what you type ends up in an interpreter: the JavaScript " +
+        "engine on the Contributions page and a MongoDB query on the Allocations page. Click Next to start.",
+    orphan: true
+}, {
+    path: "/contributions",
+    element: "input[name='preTax']",
+    placement: "bottom",
+    title: "Server side JavaScript injection",
+    content: "The contribution percentages are passed to <code>eval()</code> on the server. Submit " +
+        "<code>res.end(require('fs').readdirSync('.').toString())</code> as the pre-tax contribution."
+}, {
+    path: menuLinkPath("allocations-menu-link", "/dashboard"),
+    element: "input[name='threshold']",
+    placement: "bottom",
+    title: "NoSQL injection",
+    content: "The stocks threshold is written into a <code>$where</code> clause. Enter " +
+        "<code>1';return 1 == '1</code> to list the allocations of every user."
+}, {
+    path: "/tutorial/a1",
+    element: "#code-viewer",
+    placement: "top",
+    title: "The fix",
+    content: "Numbers are parsed with <code>parseInt()</code> and the threshold is validated before it goes " +
+        "anywhere near the query."
+}]);
@@ -0,0 +1,27 @@
+/* globals registerTour */
+
+registerTour("a10", [{
+    path: "/tutorial/a10",
+    title: "A10 Unvalidated Redirects",
+    content: "This tour shows you a link of the app that can send its users anywhere. Click Next to go to the " +
+        "dashboard.",
+    orphan: true
+}, {
+    path: "/dashboard",
+    element: "#learn-menu-link",
+    title: "Learning Resources",
+    content: "This link goes through <code>/learn</code>, which redirects to whatever its <code>url</code> " +
+        "parameter says."
+}, {
+    path: "/dashboard",
+    title: "Make it go elsewhere",
+    content: "Open <code>/learn?url=http://example.com</code>. A phishing mail linking there looks like it goes to " +
+        "this app, yet lands the victim on the site of the attacker.",
+    orphan: true
+}, {
+    path: "/tutorial/a10",
+    element: "#code-viewer",
+    placement: "top",
+    title: "The fix",
+    content: "The fixed code only redirects to the app itself or to a list of known hosts."
+}]);
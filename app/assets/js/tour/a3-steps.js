@@ -0,0 +1,30 @@
+/* globals registerTour */
+
+registerTour("a3", [{
+    path: "/tutorial/a3",
+    title: "A3 Cross-Site Scripting",
+    content: "This tour takes you to the places where what you write is shown to other users. Click Next to go " +
+        "to the memos.",
+    orphan: true
+}, {
+    path: "/memos",
+    element: "textarea[name='memo']",
+    placement: "bottom",
+    title: "Stored XSS in memos",
+    content: "Memos are Markdown, rendered and stored for everyone who opens this page. Post " +
+        "<code>[x](javascript&amp;#58this;alert(1&amp;#41;)</code> and click the link of the memo."
+}, {
+    path: "/profile",
+    element: "#firstName",
+    placement: "bottom",
+    title: "Stored XSS in the profile",
+    content: "Your first name is printed back on every page. Set it to " +
+        "<code>&lt;script&gt;alert(document.cookie)&lt;/script&gt;</code>."
+}, {
+    path: "/tutorial/a3",
+    element: "#code-viewer",
+    placement: "top",
+    title: "The fix",
+    content: "The session cookie is out of the reach of scripts, and output is encoded for the context it is " +
+        "written into."
+}]);
@@ -0,0 +1,25 @@
+/* globals registerTour, menuLinkPath */
+
+registerTour("a4", [{
+    path: "/tutorial/a4",
+    title: "A4 Insecure Direct Object References",
+    content: "This tour shows you how the app decides whose data to show. Click Next to go to the dashboard.",
+    orphan: true
+}, {
+    path: "/dashboard",
+    element: "#allocations-menu-link",
+    title: "Your allocations",
+    content: "The link to your allocations carries your user id at the end of its URL. Follow it."
+}, {
+    path: menuLinkPath("allocations-menu-link", "/dashboard"),
+    title: "Somebody else's allocations",
+    content: "The page trusts the id in the URL. Change it to <code>/allocations/1</code> to read the " +
+        "allocations of the admin, advisor notes included.",
+    orphan: true
+}, {
+    path: "/tutorial/a4",
+    element: "#code-viewer",
+    placement: "top",
+    title: "The fix",
+    content: "The fixed code takes the user id from the session and ignores the one in the URL."
+}]);
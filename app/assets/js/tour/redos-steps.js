@@ -0,0 +1,22 @@
+/* globals registerTour */
+
+registerTour("redos", [{
+    path: "/tutorial/redos",
+    title: "ReDoS",
+    content: "This tour shows you a field validated with a regular expression that can keep the server busy " +
+        "for ages. Click Next to go to your profile.",
+    orphan: true
+}, {
+    path: "/profile",
+    element: "#bankRouting",
+    placement: "bottom",
+    title: "Bank routing number",
+    content: "It is checked against <code>/([0-9]+)+\\#/</code>. Enter 30 digits without a <code>#</code> at " +
+        "the end and submit: the server stops answering everyone while it backtracks."
+}, {
+    path: "/tutorial/redos",
+    element: "#code-viewer",
+    placement: "top",
+    title: "The fix",
+    content: "Without the nested quantifier the pattern accepts the same input in linear time."
+}]);
@@ -0,0 +1,28 @@
+/* globals registerTour */
+
+registerTour("ssrf", [{
+    path: "/tutorial/ssrf",
+    title: "Server-Side Request Forgery",
+    content: "This tour shows you a page that makes the server fetch a URL for you. Click Next to go to the " +
+        "Research page.",
+    orphan: true
+}, {
+    path: "/research",
+    element: "input[name='symbol']",
+    placement: "bottom",
+    title: "Stock research",
+    content: "The symbol is appended to the <code>url</code> field of the form, and the server requests the " +
+        "result. That field is hidden, but nothing stops you from changing it."
+}, {
+    path: "/research",
+    title: "Reach what only the server can",
+    content: "Open <code>/research?url=http://localhost:4000/internal/flag%3F&amp;symbol=x</code> to make the " +
+        "server call an endpoint that only answers the server itself.",
+    orphan: true
+}, {
+    path: "/tutorial/ssrf",
+    element: "#code-viewer",
+    placement: "top",
+    title: "The fix",
+    content: "The fixed code ignores the url parameter, and validates the symbol against a strict pattern."
+}]);
@@ -0,0 +1,82 @@
+/* globals $, Tour */
+
+// Guided tours of the tutorial modules. The steps of a module live in /js/tour/<module id>-steps.js and are
+// registered with registerTour. A tour is started from the tutorial page of its module and walks the learner
+// through the pages of the app, the tour in progress is kept in localStorage so it picks up on every page.
+const ACTIVE_TOUR_KEY = "tutorial_tour";
+
+const tutorialTours = {};
+
+const registerTour = (moduleId, steps) => {
+    "use strict";
+
+    const tour = new Tour({
+        name: `tutorial-${moduleId}`,
+        onEnd: () => window.localStorage.removeItem(ACTIVE_TOUR_KEY)
+    });
+
+    tour.addSteps(steps);
+    tutorialTours[moduleId] = tour;
+    return tour;
+};
+
+// Path of a link of the app menu, for steps on pages whose URL depends on the learner like /allocations/<user id>
+const menuLinkPath = (linkId, fallback) => {
+    "use strict";
+
+    return () => $(`#${linkId}`).attr("href") || fallback;
+};
+
+// Loads the steps of a module the first time its tour is needed
+const loadTour = (moduleId, callback) => {
+    "use strict";
+
+    if (!/^[\w-]+$/.test(moduleId)) return;
+    if (tutorialTours[moduleId]) return callback(tutorialTours[moduleId]);
+
+    $.getScript(`/js/tour/${moduleId}-steps.js`, () => tutorialTours[moduleId] && callback(tutorialTours[moduleId]));
+};
+
+// Whether a step belongs on the page the learner is on, steps without a path show anywhere
+const isOnPage = step => {
+    "use strict";
+
+    const path = $.isFunction(step.path) ? step.path.call() : step.path;
+    return !path || path.replace(/\?[\s\S]*$/, "").replace(/\/$/, "") === document.location.pathname.replace(/\/$/, "");
+};
+
+// Picks the tour back up on this page. When the learner went somewhere else than the page of the current step,
+// the tour moves on (or back) to the step of this page rather than taking them back, and waits if there is none.
+const resumeTour = tour => {
+    "use strict";
+
+    const current = parseInt(tour.getState("current_step"), 10) || 0;
+
+    if (!isOnPage(tour.getStep(current))) {
+        const steps = [];
+        for (let index = 0; tour.getStep(index); index++) {
+            steps.push(index);
+        }
+
+        const onPage = steps.filter(index => isOnPage(tour.getStep(index)));
+        if (!onPage.length) return;
+
+        tour.setState("current_step", onPage.find(index => index > current) || onPage[0]);
+    }
+    tour.init();
+};
+
+$("[data-tour]").on("click", function() {
+    "use strict";
+
+    const moduleId = $(this).data("tour");
+
+    loadTour(moduleId, tour => {
+        window.localStorage.setItem(ACTIVE_TOUR_KEY, moduleId);
+        tour.restart();
+    });
+});
+
+if (window.localStorage.getItem(ACTIVE_TOUR_KEY)) {
+    loadTour(window.localStorage.getItem(ACTIVE_TOUR_KEY), resumeTour);
+}
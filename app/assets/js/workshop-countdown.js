@@ -0,0 +1,23 @@
+/* globals $ */
+
+// Counts down to the start or the end of the workshop of the learner, shown on the dashboard. The page is
+// reloaded once the time is up so the state of the workshop is the one of the server again.
+const $countdown = $("#workshop-countdown");
+
+const showCountdown = () => {
+    "use strict";
+
+    const left = Math.max(0, Math.floor((new Date($countdown.data("until")) - new Date()) / 1000));
+    const pad = value => `0${value}`.slice(-2);
+
+    if (!left) return window.location.reload();
+
+    const days = Math.floor(left / 86400);
+    const time = `${pad(Math.floor(left % 86400 / 3600))}:${pad(Math.floor(left % 3600 / 60))}:${pad(left % 60)}`;
+    $countdown.text(days ? `${days}d ${time}` : time);
+    window.setTimeout(showCountdown, 1000);
+};
+
+if ($countdown.length) {
+    showCountdown();
+}
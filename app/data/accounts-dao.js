@@ -0,0 +1,127 @@
+// Every retirement account opens with this balance, withdrawals are taken from it
+const OPENING_BALANCE = 5000;
+
+// Time in ms the payout of a withdrawal to the bank account of the user takes, a bank transfer in a real app
+const PAYOUT_DELAY = 200;
+
+// The total of the withdrawals made from the account
+const withdrawnFrom = account => {
+    "use strict";
+    return account.withdrawals.reduce((total, withdrawal) => total + withdrawal.amount, 0);
+};
+
+/* The AccountsDAO must be constructed with a connected database object */
+function AccountsDAO(db) {
+
+    "use strict";
+
+    /* If this constructor is called without the "new" operator, "this" points
+     * to the global object. Log a warning and call it correctly. */
+    if (false === (this instanceof AccountsDAO)) {
+        console.log("Warning: AccountsDAO constructor called without 'new' operator");
+        return new AccountsDAO(db);
+    }
+
+    // One account per user, keyed by the id of the user, with the withdrawals made from it
+    const accountsCol = db.collection("accounts");
+
+    // The account of the user, opened on first use
+    this.getByUserId = (userId, callback) => {
+        const parsedUserId = parseInt(userId);
+
+        accountsCol.findOne({
+            _id: parsedUserId
+        }, (err, account) => {
+            if (err) return callback(err, null);
+            if (account) return callback(null, account);
+
+            const opened = {
+                _id: parsedUserId,
+                balance: OPENING_BALANCE,
+                withdrawals: []
+            };
+
+            accountsCol.insert(opened, err => {
+                // Opened by a request running alongside this one
+                if (err && err.code === 11000) return this.getByUserId(parsedUserId, callback);
+                if (err) return callback(err, null);
+                return callback(null, opened);
+            });
+        });
+    };
+
+    // #region vulnerable race-condition
+    // Checks the balance, then writes the new one. Calls back with the account, or null when the balance is too low.
+    this.withdraw = (userId, amount, callback) => {
+        this.getByUserId(userId, (err, account) => {
+            if (err) return callback(err, null);
+            if (account.balance < amount) return callback(null, null);
+
+            // Other withdrawals may be made while the money is paid out, their balance is overwritten with this one
+            const balance = account.balance - amount;
+
+            setTimeout(() => {
+                accountsCol.update({
+                    _id: account._id
+                }, {
+                    $set: {
+                        balance
+                    },
+                    $push: {
+                        withdrawals: {
+                            amount,
+                            timestamp: new Date()
+                        }
+                    }
+                }, err => {
+                    if (err) return callback(err, null);
+                    return this.getByUserId(userId, callback);
+                });
+            }, PAYOUT_DELAY);
+        });
+    };
+    // #endregion
+
+    // #region fixed race-condition
+    // Fix for Race Condition - the balance is checked and updated by the db in a single operation, no other update
+    // can come in between. Calls back with the account, or null when the balance is too low.
+    this.withdrawAtomically = (userId, amount, callback) => {
+        this.getByUserId(userId, (err, account) => {
+            if (err) return callback(err, null);
+
+            accountsCol.update({
+                _id: account._id,
+                balance: {
+                    $gte: amount
+                }
+            }, {
+                $inc: {
+                    balance: -amount
+                },
+                $push: {
+                    withdrawals: {
+                        amount,
+                        timestamp: new Date()
+                    }
+                }
+            }, (err, result) => {
+                if (err) return callback(err, null);
+                if (!result.result.nModified) return callback(null, null);
+                return this.getByUserId(userId, callback);
+            });
+        });
+    };
+    // #endregion
+
+    this.removeByUserId = (userId, callback) => {
+        accountsCol.remove({
+            _id: parseInt(userId)
+        }, callback);
+    };
+}
+
+module.exports = {
+    AccountsDAO,
+    OPENING_BALANCE,
+    withdrawnFrom
+};
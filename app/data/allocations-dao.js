@@ -1,7 +1,15 @@
 const UserDAO = require("./user-dao").UserDAO;
+const { namespacedDb } = require("./namespace");
 
-/* The AllocationsDAO must be constructed with a connected database object */
-const AllocationsDAO = function(db){
+// Partial defences against A1-2 NoSQL Injection for the "medium" and "high" levels.
+// The blacklist misses tautologies like: 1' || '1'=='1
+// and the number check is not anchored at the end, so anything starting with a digit goes through.
+const WHERE_BLACKLIST = ["while", "return", "sleep", ";"];
+const STARTS_WITH_NUMBER_RE = /^[0-9]+/;
+
+/* The AllocationsDAO must be constructed with a connected database object, and the session of the learner
+ * when its data lives in a lab namespace */
+const AllocationsDAO = function(db, session){
 
     "use strict";
 
@@ -9,11 +17,12 @@ const AllocationsDAO = function(db){
      * to the global object. Log a warning and call it correctly. */
     if (false === (this instanceof AllocationsDAO)) {
         console.log("Warning: AllocationsDAO constructor called without 'new' operator");
-        return new AllocationsDAO(db);
+        return new AllocationsDAO(db, session);
     }
 
-    const allocationsCol = db.collection("allocations");
-    const userDAO = new UserDAO(db);
+    const labDb = namespacedDb(db, session);
+    const allocationsCol = labDb.collection("allocations");
+    const userDAO = new UserDAO(db, session);
 
     this.update = (userId, stocks, funds, bonds, callback) => {
         const parsedUserId = parseInt(userId);
@@ -54,29 +63,41 @@ const AllocationsDAO = function(db){
         });
     };
 
-    this.getByUserIdAndThreshold = (userId, threshold, callback) => {
+    // The level is the A1-2 difficulty level the query is built for, see config.getLevel()
+    this.getByUserIdAndThreshold = (userId, threshold, level, callback) => {
         const parsedUserId = parseInt(userId);
 
         const searchCriteria = () => {
 
             if (threshold) {
-                /*
-                // Fix for A1 - 2 NoSQL Injection - escape the threshold parameter properly
-                // Fix this NoSQL Injection which doesn't sanitze the input parameter 'threshold' and allows attackers
-                // to inject arbitrary javascript code into the NoSQL query:
-                // 1. 0';while(true){}'
-                // 2. 1'; return 1 == '1
-                // Also implement fix in allocations.html for UX.                             
-                const parsedThreshold = parseInt(threshold, 10);
-                
-                if (parsedThreshold >= 0 && parsedThreshold <= 99) {
-                    return {$where: `this.userId == ${parsedUserId} && this.stocks > ${parsedThreshold}`};
+                if (level === "impossible") {
+                    // #region fixed a1-2
+                    // Fix for A1 - 2 NoSQL Injection - escape the threshold parameter properly
+                    // Fix this NoSQL Injection which doesn't sanitze the input parameter 'threshold' and allows
+                    // attackers to inject arbitrary javascript code into the NoSQL query:
+                    // 1. 0';while(true){}'
+                    // 2. 1'; return 1 == '1
+                    // Also implement fix in allocations.html for UX.
+                    const parsedThreshold = parseInt(threshold, 10);
+
+                    if (parsedThreshold >= 0 && parsedThreshold <= 99) {
+                        return {$where: `this.userId == ${parsedUserId} && this.stocks > ${parsedThreshold}`};
+                    }
+                    throw `The user supplied threshold: ${parsedThreshold} was not valid.`;
+                    // #endregion
+                }
+                if (level === "medium" && (typeof threshold !== "string" ||
+                    WHERE_BLACKLIST.some(keyword => threshold.includes(keyword)))) {
+                    throw `The user supplied threshold: ${threshold} was not valid.`;
+                }
+                if (level === "high" && (typeof threshold !== "string" || !STARTS_WITH_NUMBER_RE.test(threshold))) {
+                    throw `The user supplied threshold: ${threshold} was not valid.`;
                 }
-                throw `The user supplied threshold: ${parsedThreshold} was not valid.`;
-                */
+                // #region vulnerable a1-2
                 return {
                     $where: `this.userId == ${parsedUserId} && this.stocks > '${threshold}'`
                 };
+                // #endregion
             }
             return {
                 userId: parsedUserId
@@ -1,5 +1,8 @@
-/* The BenefitsDAO must be constructed with a connected database object */
-function BenefitsDAO(db) {
+const { namespacedDb } = require("./namespace");
+
+/* The BenefitsDAO must be constructed with a connected database object, and the session of the learner
+ * when its data lives in a lab namespace */
+function BenefitsDAO(db, session) {
 
     "use strict";
 
@@ -7,10 +10,11 @@ function BenefitsDAO(db) {
      * to the global object. Log a warning and call it correctly. */
     if (false === (this instanceof BenefitsDAO)) {
         console.log("Warning: BenefitsDAO constructor called without 'new' operator");
-        return new BenefitsDAO(db);
+        return new BenefitsDAO(db, session);
     }
 
-    const usersCol = db.collection("users");
+    const labDb = namespacedDb(db, session);
+    const usersCol = labDb.collection("users");
 
     this.getAllNonAdminUsers = callback => {
         usersCol.find({
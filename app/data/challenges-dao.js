@@ -0,0 +1,141 @@
+const UserDAO = require("./user-dao").UserDAO;
+const { ProgressDAO } = require("./progress-dao");
+
+// Share of the challenge points lost for each hint revealed on its tutorial page before solving it
+const HINT_PENALTY = 0.1;
+
+/* The ChallengesDAO must be constructed with a connected database object */
+function ChallengesDAO(db) {
+
+    "use strict";
+
+    /* If this constructor is called without the "new" operator, "this" points
+     * to the global object. Log a warning and call it correctly. */
+    if (false === (this instanceof ChallengesDAO)) {
+        console.log("Warning: ChallengesDAO constructor called without 'new' operator");
+        return new ChallengesDAO(db);
+    }
+
+    // Challenges and their flags are generated by artifacts/db-reset.js
+    const challengesCol = db.collection("challenges");
+    const solvesCol = db.collection("solves");
+    const userDAO = new UserDAO(db);
+    const progressDAO = new ProgressDAO(db);
+
+    this.getAll = (callback) => {
+        challengesCol.find({}).sort({
+            points: 1
+        }).toArray((err, challenges) => {
+            if (err) return callback(err, null);
+            callback(null, challenges);
+        });
+    };
+
+    this.getById = (challengeId, callback) => {
+        challengesCol.findOne({
+            _id: challengeId
+        }, callback);
+    };
+
+    this.getSolvesByUserId = (userId, callback) => {
+        solvesCol.find({
+            userId: parseInt(userId)
+        }).toArray(callback);
+    };
+
+    this.getByFlag = (flag, callback) => {
+        challengesCol.findOne({
+            flag: String(flag).trim()
+        }, callback);
+    };
+
+    // Records a solve for the challenge the flag belongs to. Calls back with null for a wrong flag,
+    // otherwise with the challenge, whether it had already been solved by the user and the points scored.
+    this.submitFlag = (userId, flag, callback) => {
+        const parsedUserId = parseInt(userId);
+
+        challengesCol.findOne({
+            flag: String(flag).trim()
+        }, (err, challenge) => {
+            if (err) return callback(err, null);
+            if (!challenge) return callback(null, null);
+
+            const solve = {
+                userId: parsedUserId,
+                challengeId: challenge._id
+            };
+
+            solvesCol.findOne(solve, (err, existing) => {
+                if (err) return callback(err, null);
+                if (existing) return callback(null, { challenge, alreadySolved: true, points: existing.points });
+
+                progressDAO.getByUserId(parsedUserId, (err, progress) => {
+                    if (err) return callback(err, null);
+
+                    const hintsRevealed = progress.hints[challenge.tutorial] || 0;
+                    const penalty = Math.round(challenge.points * HINT_PENALTY * hintsRevealed);
+
+                    solve.points = Math.max(challenge.points - penalty, 0);
+                    solve.hintsRevealed = hintsRevealed;
+                    solve.timestamp = new Date();
+
+                    solvesCol.insert(solve, err => {
+                        if (err) return callback(err, null);
+                        console.log("Recorded challenge solve");
+                        return callback(null, { challenge, alreadySolved: false, points: solve.points });
+                    });
+                });
+            });
+        });
+    };
+
+    this.resetSolves = (userId, callback) => {
+        solvesCol.remove({
+            userId: parseInt(userId)
+        }, callback);
+    };
+
+    // Users with at least one solve, highest score first and ties broken by who got there first
+    this.getScoreboard = (callback) => {
+        solvesCol.find({}).toArray((err, solves) => {
+            if (err) return callback(err, null);
+
+            const scores = {};
+            solves.forEach(solve => {
+                const score = scores[solve.userId] || (scores[solve.userId] = {
+                    userId: solve.userId,
+                    score: 0,
+                    solves: 0,
+                    lastSolve: solve.timestamp
+                });
+                score.score += solve.points;
+                score.solves += 1;
+                if (solve.timestamp > score.lastSolve) {
+                    score.lastSolve = solve.timestamp;
+                }
+            });
+
+            const scoreboard = Object.keys(scores).map(userId => scores[userId]);
+            if (!scoreboard.length) return callback(null, scoreboard);
+
+            let doneCounter = 0;
+            scoreboard.forEach(entry => {
+                userDAO.getUserById(entry.userId, (err, user) => {
+                    if (err) return callback(err, null);
+
+                    entry.userName = user ? user.userName : "";
+                    entry.firstName = user ? user.firstName : "";
+                    entry.lastName = user ? user.lastName : "";
+
+                    doneCounter += 1;
+                    if (doneCounter === scoreboard.length) {
+                        scoreboard.sort((a, b) => b.score - a.score || a.lastSolve - b.lastSolve);
+                        callback(null, scoreboard);
+                    }
+                });
+            });
+        });
+    };
+}
+
+module.exports = { ChallengesDAO };
@@ -1,18 +1,21 @@
 const UserDAO = require("./user-dao").UserDAO;
+const { namespacedDb } = require("./namespace");
 
-/* The ContributionsDAO must be constructed with a connected database object */
-function ContributionsDAO(db) {
+/* The ContributionsDAO must be constructed with a connected database object, and the session of the learner
+ * when its data lives in a lab namespace */
+function ContributionsDAO(db, session) {
     "use strict";
 
     /* If this constructor is called without the "new" operator, "this" points
      * to the global object. Log a warning and call it correctly. */
     if (false === (this instanceof ContributionsDAO)) {
         console.log("Warning: ContributionsDAO constructor called without 'new' operator");
-        return new ContributionsDAO(db);
+        return new ContributionsDAO(db, session);
     }
 
-    const contributionsDB = db.collection("contributions");
-    const userDAO = new UserDAO(db);
+    const labDb = namespacedDb(db, session);
+    const contributionsDB = labDb.collection("contributions");
+    const userDAO = new UserDAO(db, session);
 
     this.update = (userId, preTax, afterTax, roth, callback) => {
         const parsedUserId = parseInt(userId);
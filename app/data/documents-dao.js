@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+
+// Where documents uploaded from the profile page are kept, outside of the folders the app serves
+const UPLOADS_DIR = path.join(__dirname, "../../uploads");
+
+/* The DocumentsDAO must be constructed with a connected database object */
+function DocumentsDAO(db) {
+
+    "use strict";
+
+    /* If this constructor is called without the "new" operator, "this" points
+     * to the global object. Log a warning and call it correctly. */
+    if (false === (this instanceof DocumentsDAO)) {
+        console.log("Warning: DocumentsDAO constructor called without 'new' operator");
+        return new DocumentsDAO(db);
+    }
+
+    // One document per uploaded file, the file itself lives in UPLOADS_DIR at the path of the document
+    const documentsCol = db.collection("documents");
+
+    const isInUploadsDir = file => path.resolve(file).startsWith(`${UPLOADS_DIR}${path.sep}`);
+
+    // Writes the file at the given path of UPLOADS_DIR and records it for the user
+    this.store = (userId, storedPath, name, contentType, content, callback) => {
+        const file = path.join(UPLOADS_DIR, storedPath);
+
+        fs.mkdir(path.dirname(file), { recursive: true }, err => {
+            if (err) return callback(err, null);
+
+            fs.writeFile(file, content, err => {
+                if (err) return callback(err, null);
+
+                const doc = {
+                    userId: parseInt(userId),
+                    path: storedPath,
+                    name,
+                    contentType,
+                    size: content.length,
+                    timestamp: new Date()
+                };
+
+                documentsCol.insert(doc, err => {
+                    if (err) return callback(err, null);
+                    console.log("Stored document");
+                    return callback(null, doc);
+                });
+            });
+        });
+    };
+
+    this.getByUserId = (userId, callback) => {
+        documentsCol.find({
+            userId: parseInt(userId)
+        }).sort({
+            timestamp: 1
+        }).toArray(callback);
+    };
+
+    this.getByPath = (userId, storedPath, callback) => {
+        documentsCol.findOne({
+            userId: parseInt(userId),
+            path: String(storedPath)
+        }, callback);
+    };
+
+    // Deletes the documents of the user and their files. Files written outside of UPLOADS_DIR are left where
+    // they are, they may have overwritten files of the app.
+    this.removeByUserId = (userId, callback) => {
+        this.getByUserId(userId, (err, docs) => {
+            if (err) return callback(err, null);
+
+            docs.map(doc => path.join(UPLOADS_DIR, doc.path)).filter(isInUploadsDir).forEach(file => {
+                fs.unlink(file, err => {
+                    if (err) console.log(`Unable to delete ${file}`, err.message);
+                });
+            });
+
+            documentsCol.remove({
+                userId: parseInt(userId)
+            }, err => {
+                if (err) return callback(err, null);
+                console.log("Removed documents");
+                return callback(null, true);
+            });
+        });
+    };
+}
+
+module.exports = {
+    DocumentsDAO,
+    UPLOADS_DIR
+};
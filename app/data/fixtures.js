@@ -0,0 +1,62 @@
+// Users and allocations the database is seeded with. Shared by artifacts/db-reset.js and the
+// learner labs, which get a private copy of them when lab isolation is on (see lab-dao.js).
+const USERS = [
+    {
+        "_id": 1,
+        "userName": "admin",
+        "firstName": "Node Goat",
+        "lastName": "Admin",
+        "password": "Admin_123",
+        //"password" : "$2a$10$8Zo/1e8KM8QzqOKqbDlYlONBOzukWXrM.IiyzqHRYDXqwB3gzDsba", // Admin_123
+        "isAdmin": true
+    }, {
+        "_id": 2,
+        "userName": "user1",
+        "firstName": "John",
+        "lastName": "Doe",
+        "benefitStartDate": "2030-01-10",
+        "password": "User1_123"
+        // "password" : "$2a$10$RNFhiNmt2TTpVO9cqZElb.LQM9e1mzDoggEHufLjAnAKImc6FNE86",// User1_123
+    }, {
+        "_id": 3,
+        "userName": "user2",
+        "firstName": "Will",
+        "lastName": "Smith",
+        "benefitStartDate": "2025-11-30",
+        "password": "User2_123"
+        //"password" : "$2a$10$Tlx2cNv15M0Aia7wyItjsepeA8Y6PyBYaNdQqvpxkIUlcONf1ZHyq", // User2_123
+    }, {
+        "_id": 4,
+        "userName": "instructor",
+        "firstName": "Node Goat",
+        "lastName": "Instructor",
+        "benefitStartDate": "2030-01-10",
+        "password": "Instructor_123",
+        "isInstructor": true
+    }];
+
+// Random allocations for a user. The admin ones hold the flag of the A4 challenge, only visible
+// through another user's allocations.
+const allocationFor = (user, a4Flag) => {
+    "use strict";
+
+    const stocks = Math.floor((Math.random() * 40) + 1);
+    const funds = Math.floor((Math.random() * 40) + 1);
+    const allocation = {
+        userId: user._id,
+        stocks: stocks,
+        funds: funds,
+        bonds: 100 - (stocks + funds)
+    };
+
+    if (user.isAdmin) {
+        allocation.notes = a4Flag;
+    }
+
+    return allocation;
+};
+
+module.exports = {
+    USERS,
+    allocationFor
+};
@@ -0,0 +1,238 @@
+const { USERS, allocationFor } = require("./fixtures");
+const { namespaceFor, namespacedDb } = require("./namespace");
+const { PREFERENCE_FIELDS, restoreUserDefaults } = require("./user-dao");
+const { DocumentsDAO } = require("./documents-dao");
+const { MemoTemplatesDAO } = require("./memo-templates-dao");
+const { AccountsDAO } = require("./accounts-dao");
+
+// The documents of a learner a lab reset restores to the seed state
+const LAB_DATA = [
+    "profile", "preferences", "documents", "contributions", "allocations", "memos", "memoTemplates", "accounts"
+];
+
+// The documents each tutorial module has the learner tamper with, resetting a module only restores those
+const MODULE_DATA = {
+    a1: ["contributions", "allocations"],
+    a2: [],
+    a3: ["memos", "profile"],
+    a4: [],
+    a5: [],
+    a6: ["profile"],
+    a7: [],
+    a8: ["profile"],
+    a9: ["memos"],
+    a10: [],
+    redos: ["profile"],
+    ssrf: [],
+    "prototype-pollution": ["preferences"],
+    deserialization: [],
+    "file-upload": ["documents"],
+    jwt: ["contributions", "allocations"],
+    xxe: ["contributions"],
+    "command-injection": [],
+    ssti: ["memoTemplates"],
+    cors: [],
+    "race-condition": ["accounts"]
+};
+
+// Profile fields a learner can only set from the profile page, new users start without them
+const PROFILE_FIELDS = ["ssn", "dob", "address", "bankAcc", "bankRouting", "website"];
+
+/* The LabDAO must be constructed with a connected database object */
+function LabDAO(db) {
+
+    "use strict";
+
+    /* If this constructor is called without the "new" operator, "this" points
+     * to the global object. Log a warning and call it correctly. */
+    if (false === (this instanceof LabDAO)) {
+        console.log("Warning: LabDAO constructor called without 'new' operator");
+        return new LabDAO(db);
+    }
+
+    // insertMany refuses an empty list of documents
+    const insertAll = (col, docs, callback) => docs.length ? col.insertMany(docs, callback) : callback(null);
+
+    // Each resetter restores one kind of document of the user in the given db
+    const resetters = {
+        // Names go back to the fixtures, or to the ones given at sign up
+        profile: (labDb, userId, callback) => {
+            const usersCol = labDb.collection("users");
+
+            usersCol.findOne({
+                _id: userId
+            }, (err, user) => {
+                if (err) return callback(err);
+                if (!user) return callback(null);
+
+                const seed = USERS.find(fixture => fixture._id === userId) || user.signup || user;
+
+                usersCol.update({
+                    _id: userId
+                }, {
+                    $set: {
+                        firstName: seed.firstName,
+                        lastName: seed.lastName
+                    },
+                    $unset: PROFILE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: "" }), {})
+                }, callback);
+            });
+        },
+
+        // Back to the defaults, which are shared by every user and restored for everyone along the way
+        preferences: (labDb, userId, callback) => {
+            restoreUserDefaults();
+
+            labDb.collection("users").update({
+                _id: userId
+            }, {
+                $unset: PREFERENCE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: "" }), {})
+            }, callback);
+        },
+
+        // Uploads are kept out of the lab namespaces, like the rest of the files of the app
+        documents: (labDb, userId, callback) => {
+            new DocumentsDAO(db).removeByUserId(userId, callback);
+        },
+
+        // Without a document the contributions page shows the defaults
+        contributions: (labDb, userId, callback) => {
+            labDb.collection("contributions").remove({
+                userId
+            }, callback);
+        },
+
+        allocations: (labDb, userId, callback) => {
+            const allocationsCol = labDb.collection("allocations");
+
+            db.collection("challenges").findOne({
+                _id: "a4"
+            }, (err, challenge) => {
+                if (err) return callback(err);
+
+                allocationsCol.remove({
+                    userId
+                }, err => {
+                    if (err) return callback(err);
+
+                    const user = USERS.find(fixture => fixture._id === userId) || { _id: userId };
+                    allocationsCol.insert(allocationFor(user, challenge ? challenge.flag : ""), callback);
+                });
+            });
+        },
+
+        memos: (labDb, userId, callback) => {
+            labDb.collection("memos").remove({
+                userId
+            }, callback);
+        },
+
+        // Templates are private to each user, they live outside of the lab namespaces
+        memoTemplates: (labDb, userId, callback) => {
+            new MemoTemplatesDAO(db).removeByUserId(userId, callback);
+        },
+
+        // The account is opened again with the opening balance on its next use
+        accounts: (labDb, userId, callback) => {
+            new AccountsDAO(db).removeByUserId(userId, callback);
+        }
+    };
+
+    // Restores the given kinds of documents of the user (see LAB_DATA) to the seed state, in the lab
+    // namespace of the user when there is one. The documents of everyone else are left untouched.
+    this.reset = (userId, namespace, data, callback) => {
+        const parsedUserId = parseInt(userId);
+        const labDb = namespacedDb(db, { namespace });
+
+        const resetNext = remaining => {
+            if (!remaining.length) {
+                console.log(`Reset ${data.join(", ") || "nothing"} of user ${parsedUserId}`);
+                return callback(null, data);
+            }
+
+            resetters[remaining[0]](labDb, parsedUserId, err => {
+                if (err) return callback(err, null);
+                return resetNext(remaining.slice(1));
+            });
+        };
+
+        if (data.some(kind => !resetters[kind])) {
+            return callback(new Error(`Unknown lab data: ${data}`), null);
+        }
+        return resetNext(data);
+    };
+
+    // Calls back with the namespace of the lab of the user, or null when the user has not logged in since
+    // lab isolation was turned on and the documents are still in the shared collections
+    this.namespaceOf = (userId, callback) => {
+        const namespace = namespaceFor(userId);
+
+        namespacedDb(db, { namespace }).collection("users").findOne({
+            _id: parseInt(userId)
+        }, (err, existing) => {
+            if (err) return callback(err, null);
+            return callback(null, existing ? namespace : null);
+        });
+    };
+
+    // Copies the fixtures of artifacts/db-reset.js into the namespace of the user, along with the data
+    // the user already has. A lab that already exists is left as it is. Calls back with the namespace.
+    this.seed = (user, callback) => {
+        const namespace = namespaceFor(user._id);
+        const labDb = namespacedDb(db, { namespace });
+        const fixtureUsers = USERS.filter(fixture => fixture._id !== user._id);
+
+        labDb.collection("users").findOne({
+            _id: user._id
+        }, (err, existing) => {
+            if (err) return callback(err, null);
+            if (existing) return callback(null, namespace);
+
+            db.collection("challenges").findOne({
+                _id: "a4"
+            }, (err, challenge) => {
+                if (err) return callback(err, null);
+
+                const a4Flag = challenge ? challenge.flag : "";
+
+                db.collection("allocations").find({
+                    userId: user._id
+                }).toArray((err, allocations) => {
+                    if (err) return callback(err, null);
+
+                    db.collection("contributions").find({
+                        userId: user._id
+                    }).toArray((err, contributions) => {
+                        if (err) return callback(err, null);
+
+                        const labUsers = [...fixtureUsers, user].map(doc => ({ ...doc }));
+                        const labAllocations = [
+                            ...fixtureUsers.map(fixture => allocationFor(fixture, a4Flag)),
+                            ...allocations
+                        ];
+
+                        insertAll(labDb.collection("users"), labUsers, err => {
+                            if (err) return callback(err, null);
+
+                            insertAll(labDb.collection("allocations"), labAllocations, err => {
+                                if (err) return callback(err, null);
+
+                                insertAll(labDb.collection("contributions"), contributions, err => {
+                                    if (err) return callback(err, null);
+                                    console.log(`Seeded lab ${namespace}`);
+                                    return callback(null, namespace);
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    };
+}
+
+module.exports = {
+    LabDAO,
+    LAB_DATA,
+    MODULE_DATA
+};
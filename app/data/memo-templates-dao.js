@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+
+/* The MemoTemplatesDAO must be constructed with a connected database object */
+function MemoTemplatesDAO(db) {
+
+    "use strict";
+
+    /* If this constructor is called without the "new" operator, "this" points
+     * to the global object. Log a warning and call it correctly. */
+    if (false === (this instanceof MemoTemplatesDAO)) {
+        console.log("Warning: MemoTemplatesDAO constructor called without 'new' operator");
+        return new MemoTemplatesDAO(db);
+    }
+
+    // Templates are private to the user who saved them, so they don't need a copy in each lab
+    const templatesCol = db.collection("memoTemplates");
+
+    this.insert = (userId, name, body, callback) => {
+        const template = {
+            _id: crypto.randomBytes(8).toString("hex"),
+            userId: parseInt(userId),
+            name,
+            body,
+            timestamp: new Date()
+        };
+
+        templatesCol.insert(template, err => {
+            if (err) return callback(err, null);
+            console.log("Saved memo template");
+            return callback(null, template);
+        });
+    };
+
+    this.getByUserId = (userId, callback) => {
+        templatesCol.find({
+            userId: parseInt(userId)
+        }).sort({
+            timestamp: 1
+        }).toArray(callback);
+    };
+
+    this.getById = (userId, id, callback) => {
+        templatesCol.findOne({
+            _id: String(id),
+            userId: parseInt(userId)
+        }, callback);
+    };
+
+    this.removeByUserId = (userId, callback) => {
+        templatesCol.remove({
+            userId: parseInt(userId)
+        }, callback);
+    };
+}
+
+module.exports = {
+    MemoTemplatesDAO
+};
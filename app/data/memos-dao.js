@@ -1,5 +1,8 @@
-/* The MemosDAO must be constructed with a connected database object */
-function MemosDAO(db) {
+const { namespacedDb } = require("./namespace");
+
+/* The MemosDAO must be constructed with a connected database object, and the session of the learner
+ * when its data lives in a lab namespace */
+function MemosDAO(db, session) {
 
     "use strict";
 
@@ -7,16 +10,19 @@ function MemosDAO(db) {
      * to the global object. Log a warning and call it correctly. */
     if (false === (this instanceof MemosDAO)) {
         console.log("Warning: MemosDAO constructor called without 'new' operator");
-        return new MemosDAO(db);
+        return new MemosDAO(db, session);
     }
 
-    const memosCol = db.collection("memos");
+    const labDb = namespacedDb(db, session);
+    const memosCol = labDb.collection("memos");
 
-    this.insert = (memo, callback) => {
+    // The user is kept so a lab reset can remove the memos of a single learner
+    this.insert = (memo, userId, callback) => {
 
         // Create allocations document
         const memos = {
             memo,
+            userId: parseInt(userId),
             timestamp: new Date()
         };
 
@@ -0,0 +1,58 @@
+/* The ModuleLocksDAO must be constructed with a connected database object */
+function ModuleLocksDAO(db) {
+
+    "use strict";
+
+    /* If this constructor is called without the "new" operator, "this" points
+     * to the global object. Log a warning and call it correctly. */
+    if (false === (this instanceof ModuleLocksDAO)) {
+        console.log("Warning: ModuleLocksDAO constructor called without 'new' operator");
+        return new ModuleLocksDAO(db);
+    }
+
+    // One document per locked tutorial module, keyed by its page id. Instructors lock modules
+    // until a given time so a class goes through them together.
+    const moduleLocksCol = db.collection("moduleLocks");
+
+    this.getAll = (callback) => {
+        moduleLocksCol.find({}).toArray(callback);
+    };
+
+    // Calls back with the time the module is locked until, or null when it is open
+    this.getLockedUntil = (moduleId, callback) => {
+        moduleLocksCol.findOne({
+            _id: moduleId
+        }, (err, lock) => {
+            if (err) return callback(err, null);
+            if (!lock || lock.until <= new Date()) return callback(null, null);
+            return callback(null, lock.until);
+        });
+    };
+
+    this.lock = (moduleId, until, callback) => {
+        moduleLocksCol.update({
+            _id: moduleId
+        }, {
+            _id: moduleId,
+            until
+        }, {
+            upsert: true
+        }, err => {
+            if (err) return callback(err, null);
+            console.log(`Locked module ${moduleId}`);
+            return callback(null, true);
+        });
+    };
+
+    this.unlock = (moduleId, callback) => {
+        moduleLocksCol.remove({
+            _id: moduleId
+        }, err => {
+            if (err) return callback(err, null);
+            console.log(`Unlocked module ${moduleId}`);
+            return callback(null, true);
+        });
+    };
+}
+
+module.exports = { ModuleLocksDAO };
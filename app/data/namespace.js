@@ -0,0 +1,45 @@
+// Collections every learner gets a private copy of when lab isolation is on, so a stored XSS memo or
+// an altered benefits date only breaks the lab of whoever did it. Challenges, tutorial progress and
+// the other tutorial collections stay shared so instructors and the scoreboard see everyone.
+const NAMESPACED_COLLECTIONS = ["users", "allocations", "contributions", "memos"];
+
+const NAMESPACE_PREFIX = "lab";
+
+const namespaceFor = userId => {
+    "use strict";
+
+    return `${NAMESPACE_PREFIX}${parseInt(userId)}`;
+};
+
+// Matches the collections of every lab, e.g. lab5_memos
+const NAMESPACED_COLLECTION_RE = new RegExp(`^${NAMESPACE_PREFIX}[0-9]+_(${NAMESPACED_COLLECTIONS.join("|")})$`);
+
+const isNamespacedCollection = name => {
+    "use strict";
+
+    return NAMESPACED_COLLECTION_RE.test(name);
+};
+
+// Wraps the db so DAOs read and write the collections of the namespace kept in the session. Without a
+// namespace (isolation off, admins, instructors or nobody logged in) the db is returned as is.
+const namespacedDb = (db, session) => {
+    "use strict";
+
+    const namespace = session && session.namespace;
+    if (!namespace) return db;
+
+    return Object.assign(Object.create(db), {
+        namespace,
+        collection: (name, ...args) => {
+            const collectionName = NAMESPACED_COLLECTIONS.includes(name) ? `${namespace}_${name}` : name;
+            return db.collection(collectionName, ...args);
+        }
+    });
+};
+
+module.exports = {
+    NAMESPACED_COLLECTIONS,
+    namespaceFor,
+    isNamespacedCollection,
+    namespacedDb
+};
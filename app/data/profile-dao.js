@@ -1,5 +1,8 @@
-/* The ProfileDAO must be constructed with a connected database object */
-function ProfileDAO(db) {
+const { namespacedDb } = require("./namespace");
+
+/* The ProfileDAO must be constructed with a connected database object, and the session of the learner
+ * when its data lives in a lab namespace */
+function ProfileDAO(db, session) {
 
     "use strict";
 
@@ -7,12 +10,15 @@ function ProfileDAO(db) {
      * to the global object. Log a warning and call it correctly. */
     if (false === (this instanceof ProfileDAO)) {
         console.log("Warning: ProfileDAO constructor called without 'new' operator");
-        return new ProfileDAO(db);
+        return new ProfileDAO(db, session);
     }
 
-    const users = db.collection("users");
+    const labDb = namespacedDb(db, session);
+    const users = labDb.collection("users");
 
-    /* Fix for A6 - Sensitive Data Exposure
+    /*
+    // #region fixed a6
+    // Fix for A6 - Sensitive Data Exposure
 
     // Use crypto module to save sensitive data such as ssn, dob in encrypted format
     const crypto = require("crypto");
@@ -37,6 +43,7 @@ function ProfileDAO(db) {
         const decipher = crypto.createDecipheriv(config.cryptoAlgo, config.cryptoKey, config.iv);
         return `${decipher.update(toDecrypt, "hex", "utf8")} ${decipher.final("utf8")}`;
     };
+    // #endregion
     */
 
     this.updateUser = (userId, firstName, lastName, ssn, dob, address, bankAcc, bankRouting, callback) => {
@@ -58,13 +65,16 @@ function ProfileDAO(db) {
         if (bankRouting) {
             user.bankRouting = bankRouting;
         }
+        // #region vulnerable a6
         if (ssn) {
             user.ssn = ssn;
         }
         if (dob) {
             user.dob = dob;
         }
+        // #endregion
         /*
+        // #region fixed a6
         // Fix for A7 - Sensitive Data Exposure
         // Store encrypted ssn and DOB
         if(ssn) {
@@ -73,6 +83,7 @@ function ProfileDAO(db) {
         if(dob) {
             user.dob = encrypt(dob);
         }
+        // #endregion
         */
 
         users.update({
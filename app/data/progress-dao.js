@@ -0,0 +1,178 @@
+/* The ProgressDAO must be constructed with a connected database object */
+function ProgressDAO(db) {
+
+    "use strict";
+
+    /* If this constructor is called without the "new" operator, "this" points
+     * to the global object. Log a warning and call it correctly. */
+    if (false === (this instanceof ProgressDAO)) {
+        console.log("Warning: ProgressDAO constructor called without 'new' operator");
+        return new ProgressDAO(db);
+    }
+
+    // One document per user, tutorial modules are keyed by their page id (a1, a2, ... redos, ssrf)
+    const progressCol = db.collection("progress");
+
+    // Time between two tutorial pages longer than this is not counted as time spent on the first one
+    const IDLE_TIMEOUT = 30 * 60 * 1000;
+
+    const emptyProgress = userId => ({
+        userId,
+        completed: {},
+        visits: {},
+        hints: {},
+        hintLog: [],
+        lastPage: null,
+        lastVisit: null
+    });
+
+    this.getByUserId = (userId, callback) => {
+        const parsedUserId = parseInt(userId);
+
+        progressCol.findOne({
+            userId: parsedUserId
+        }, (err, progress) => {
+            if (err) return callback(err, null);
+            callback(null, Object.assign(emptyProgress(parsedUserId), progress));
+        });
+    };
+
+    this.getAll = (callback) => {
+        progressCol.find({}).toArray((err, progress) => {
+            if (err) return callback(err, null);
+            callback(null, progress.map(doc => Object.assign(emptyProgress(doc.userId), doc)));
+        });
+    };
+
+    // Records a visit to a tutorial page. The time since the previous visit is added to the time
+    // spent on the previous page, unless the learner has been away for too long.
+    this.recordVisit = (userId, page, callback) => {
+        const parsedUserId = parseInt(userId);
+        const now = new Date();
+
+        this.getByUserId(parsedUserId, (err, progress) => {
+            if (err) return callback(err, null);
+
+            const update = {
+                $set: {
+                    lastPage: page,
+                    lastVisit: now,
+                    [`visits.${page}.lastVisit`]: now
+                },
+                $inc: {
+                    [`visits.${page}.count`]: 1
+                }
+            };
+
+            if (!progress.visits[page]) {
+                update.$set[`visits.${page}.firstVisit`] = now;
+            }
+
+            const elapsed = progress.lastVisit ? now - progress.lastVisit : 0;
+            if (progress.lastPage && elapsed <= IDLE_TIMEOUT) {
+                update.$inc[`visits.${progress.lastPage}.timeSpent`] = elapsed;
+            }
+
+            progressCol.update({
+                userId: parsedUserId
+            }, update, {
+                upsert: true
+            }, err => {
+                if (err) return callback(err, null);
+                return callback(null, true);
+            });
+        });
+    };
+
+    // Reveals the next hint of a tutorial page, up to the number of hints it has. Every reveal is logged
+    // so instructors can see who needed help. Calls back with the number of hints revealed on the page.
+    this.revealHint = (userId, page, hintCount, callback) => {
+        const parsedUserId = parseInt(userId);
+
+        this.getByUserId(parsedUserId, (err, progress) => {
+            if (err) return callback(err, null);
+
+            const revealed = progress.hints[page] || 0;
+            if (revealed >= hintCount) return callback(null, revealed);
+
+            progressCol.update({
+                userId: parsedUserId
+            }, {
+                $inc: {
+                    [`hints.${page}`]: 1
+                },
+                $push: {
+                    hintLog: {
+                        page,
+                        tier: revealed + 1,
+                        timestamp: new Date()
+                    }
+                }
+            }, {
+                upsert: true
+            }, err => {
+                if (err) return callback(err, null);
+                return callback(null, revealed + 1);
+            });
+        });
+    };
+
+    // Starts the tutorial over for the learner. Revealed hints are kept, scoring deducts them and instructors
+    // see who needed help, only an instructor reset forgets them.
+    this.restart = (userId, callback) => {
+        progressCol.update({
+            userId: parseInt(userId)
+        }, {
+            $unset: {
+                completed: "",
+                visits: "",
+                lastPage: "",
+                lastVisit: ""
+            }
+        }, err => {
+            if (err) return callback(err, null);
+            console.log("Restarted tutorial progress");
+            return callback(null, true);
+        });
+    };
+
+    // Forgets everything about the learner progress, hints included, the user account is left untouched
+    this.reset = (userId, callback) => {
+        progressCol.remove({
+            userId: parseInt(userId)
+        }, err => {
+            if (err) return callback(err, null);
+            console.log("Reset tutorial progress");
+            return callback(null, true);
+        });
+    };
+
+    // Marks a module as completed, keeping the first time and the evidence it was completed with
+    this.markCompleted = (userId, moduleId, evidence, callback) => {
+        const parsedUserId = parseInt(userId);
+
+        this.getByUserId(parsedUserId, (err, progress) => {
+            if (err) return callback(err, null);
+            if (progress.completed[moduleId]) return callback(null, false);
+
+            progressCol.update({
+                userId: parsedUserId
+            }, {
+                $set: {
+                    [`completed.${moduleId}`]: {
+                        evidence,
+                        timestamp: new Date()
+                    }
+                }
+            }, {
+                upsert: true
+            }, err => {
+                if (err) return callback(err, null);
+                console.log(`Completed module ${moduleId}`);
+                return callback(null, true);
+            });
+        });
+    };
+}
+
+module.exports = { ProgressDAO };
@@ -0,0 +1,62 @@
+/* The QuizAttemptsDAO must be constructed with a connected database object */
+function QuizAttemptsDAO(db) {
+
+    "use strict";
+
+    /* If this constructor is called without the "new" operator, "this" points
+     * to the global object. Log a warning and call it correctly. */
+    if (false === (this instanceof QuizAttemptsDAO)) {
+        console.log("Warning: QuizAttemptsDAO constructor called without 'new' operator");
+        return new QuizAttemptsDAO(db);
+    }
+
+    // One document per attempt at the quiz of a tutorial module, learners can take a quiz as often as they like
+    const quizAttemptsCol = db.collection("quizAttempts");
+
+    // Records a graded attempt, calls back with the attempt as stored
+    this.recordAttempt = (userId, page, grade, callback) => {
+        const attempt = {
+            userId: parseInt(userId),
+            page,
+            answers: grade.answers,
+            results: grade.results,
+            score: grade.score,
+            total: grade.total,
+            passed: grade.passed,
+            timestamp: new Date()
+        };
+
+        quizAttemptsCol.insert(attempt, err => {
+            if (err) return callback(err, null);
+            console.log(`Quiz ${page} attempted, score ${attempt.score}/${attempt.total}`);
+            return callback(null, attempt);
+        });
+    };
+
+    // Attempts of a learner, oldest first
+    this.getByUserId = (userId, callback) => {
+        quizAttemptsCol.find({
+            userId: parseInt(userId)
+        }).sort({
+            timestamp: 1
+        }).toArray(callback);
+    };
+
+    this.getAll = (callback) => {
+        quizAttemptsCol.find({}).sort({
+            timestamp: 1
+        }).toArray(callback);
+    };
+
+    this.reset = (userId, callback) => {
+        quizAttemptsCol.remove({
+            userId: parseInt(userId)
+        }, err => {
+            if (err) return callback(err, null);
+            console.log("Reset quiz attempts");
+            return callback(null, true);
+        });
+    };
+}
+
+module.exports = { QuizAttemptsDAO };
@@ -1,7 +1,39 @@
 const bcrypt = require("bcrypt-nodejs");
+const { namespacedDb } = require("./namespace");
+const {
+    isSecure
+} = require("../../config/config");
+
+// Fields a user document only stores once they are set. Users read by id are layered on these defaults
+// through the prototype chain, so a field missing from the document reads as its default.
+const DEFAULT_USER_FIELDS = {
+    isAdmin: false,
+    isInstructor: false,
+    theme: "default",
+    currency: "USD",
+    statements: "monthly"
+};
+
+const USER_DEFAULTS = { ...DEFAULT_USER_FIELDS };
+
+// Fields users set from the preferences page
+const PREFERENCE_FIELDS = ["theme", "currency", "statements", "notifications"];
+
+// Undoes any change to the defaults shared by every user, and to Object.prototype which sits right behind them
+const restoreUserDefaults = () => {
+    "use strict";
+
+    for (const target of [USER_DEFAULTS, Object.prototype]) {
+        for (const key of Object.keys(target)) {
+            delete target[key];
+        }
+    }
+    Object.assign(USER_DEFAULTS, DEFAULT_USER_FIELDS);
+};
 
-/* The UserDAO must be constructed with a connected database object */
-function UserDAO(db) {
+/* The UserDAO must be constructed with a connected database object, and the session of the learner
+ * when its data lives in a lab namespace */
+function UserDAO(db, session) {
 
     "use strict";
 
@@ -9,10 +41,13 @@ function UserDAO(db) {
      * to the global object. Log a warning and call it correctly. */
     if (false === (this instanceof UserDAO)) {
         console.log("Warning: UserDAO constructor called without 'new' operator");
-        return new UserDAO(db);
+        return new UserDAO(db, session);
     }
 
-    const usersCol = db.collection("users");
+    const labDb = namespacedDb(db, session);
+    const usersCol = labDb.collection("users");
+
+    const BCRYPT_HASH_RE = /^\$2[aby]?\$\d{2}\$/;
 
     this.addUser = (userName, firstName, lastName, password, email, callback) => {
 
@@ -22,13 +57,23 @@ function UserDAO(db) {
             firstName,
             lastName,
             benefitStartDate: this.getRandomFutureDate(),
-            password //received from request param
-            /*
+            // #region vulnerable a2-1
+            password, //received from request param
+            // #endregion
+            // What a lab reset restores the profile names to
+            signup: {
+                firstName,
+                lastName
+            }
+        };
+
+        if (isSecure("a2-1")) {
+            // #region fixed a2-1
             // Fix for A2-1 - Broken Auth
             // Stores password  in a safer way using one way encryption and salt hashing
-            password: bcrypt.hashSync(password, bcrypt.genSaltSync())
-            */
-        };
+            user.password = bcrypt.hashSync(password, bcrypt.genSaltSync());
+            // #endregion
+        }
 
         // Add email if set
         if (email) {
@@ -58,12 +103,13 @@ function UserDAO(db) {
 
         // Helper function to compare passwords
         const comparePassword = (fromDB, fromUser) => {
-            return fromDB === fromUser;
-            /*
             // Fix for A2-Broken Auth
-            // compares decrypted password stored in this.addUser()
-            return bcrypt.compareSync(fromDB, fromUser);
-            */
+            // compares decrypted password stored in this.addUser(). Hashes are checked whatever the current
+            // setting, so accounts created while the fix was enabled can still log in after switching it off
+            if (BCRYPT_HASH_RE.test(fromUser)) {
+                return bcrypt.compareSync(fromDB, fromUser);
+            }
+            return fromDB === fromUser;
         };
 
         // Callback to pass to MongoDB that validates a user document
@@ -97,7 +143,36 @@ function UserDAO(db) {
     this.getUserById = (userId, callback) => {
         usersCol.findOne({
             _id: parseInt(userId)
-        }, callback);
+        }, (err, user) => {
+            if (err || !user) return callback(err, user);
+            return callback(null, Object.assign(Object.create(USER_DEFAULTS), user));
+        });
+    };
+
+    this.updatePreferences = (userId, preferences, callback) => {
+        usersCol.update({
+            _id: parseInt(userId)
+        }, {
+            $set: preferences
+        }, err => {
+            if (err) return callback(err, null);
+            console.log("Updated preferences");
+            return callback(null, preferences);
+        });
+    };
+
+    // Every user that is neither an admin nor an instructor
+    this.getLearners = (callback) => {
+        usersCol.find({
+            isAdmin: {
+                $ne: true
+            },
+            isInstructor: {
+                $ne: true
+            }
+        }).sort({
+            _id: 1
+        }).toArray(callback);
     };
 
     this.getUserByUserName = (userName, callback) => {
@@ -120,4 +195,9 @@ function UserDAO(db) {
     };
 }
 
-module.exports = { UserDAO };
+module.exports = {
+    UserDAO,
+    USER_DEFAULTS,
+    PREFERENCE_FIELDS,
+    restoreUserDefaults
+};
@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+
+/* The WorkshopsDAO must be constructed with a connected database object */
+function WorkshopsDAO(db) {
+
+    "use strict";
+
+    /* If this constructor is called without the "new" operator, "this" points
+     * to the global object. Log a warning and call it correctly. */
+    if (false === (this instanceof WorkshopsDAO)) {
+        console.log("Warning: WorkshopsDAO constructor called without 'new' operator");
+        return new WorkshopsDAO(db);
+    }
+
+    // One document per workshop, keyed by the code learners join it with. A workshop runs the tutorial for a
+    // class between two times, on a set of modules. Users who never joined one are not bound by any window.
+    const workshopsCol = db.collection("workshops");
+
+    // Short and easy to read out loud to a class
+    const newCode = () => crypto.randomBytes(3).toString("hex").toUpperCase();
+
+    const stateOf = (workshop, now) => {
+        if (now < workshop.startsAt) return "upcoming";
+        return now > workshop.endsAt ? "ended" : "running";
+    };
+
+    this.create = (name, startsAt, endsAt, modules, createdBy, callback) => {
+        const workshop = {
+            _id: newCode(),
+            name,
+            startsAt,
+            endsAt,
+            modules,
+            users: [],
+            createdBy: parseInt(createdBy),
+            createdAt: new Date()
+        };
+
+        workshopsCol.insert(workshop, err => {
+            // The code is already taken by another workshop, try another one
+            if (err && err.code === 11000) return this.create(name, startsAt, endsAt, modules, createdBy, callback);
+            if (err) return callback(err, null);
+            console.log(`Created workshop ${workshop._id}`);
+            return callback(null, workshop);
+        });
+    };
+
+    // Workshops with their state, the latest first
+    this.getAll = (callback) => {
+        workshopsCol.find({}).sort({
+            startsAt: -1
+        }).toArray((err, workshops) => {
+            if (err) return callback(err, null);
+
+            const now = new Date();
+            return callback(null, workshops.map(workshop => ({
+                ...workshop,
+                state: stateOf(workshop, now)
+            })));
+        });
+    };
+
+    this.getByCode = (code, callback) => {
+        workshopsCol.findOne({
+            _id: String(code).trim().toUpperCase()
+        }, callback);
+    };
+
+    this.enroll = (code, userId, callback) => {
+        workshopsCol.update({
+            _id: String(code).trim().toUpperCase()
+        }, {
+            $addToSet: {
+                users: parseInt(userId)
+            }
+        }, err => {
+            if (err) return callback(err, null);
+            console.log(`Enrolled user in workshop ${code}`);
+            return callback(null, true);
+        });
+    };
+
+    // The workshop the user joined with its state, or null for users who are not in one
+    this.getByUserId = (userId, callback) => {
+        workshopsCol.findOne({
+            users: parseInt(userId)
+        }, (err, workshop) => {
+            if (err) return callback(err, null);
+            if (!workshop) return callback(null, null);
+
+            return callback(null, {
+                ...workshop,
+                state: stateOf(workshop, new Date())
+            });
+        });
+    };
+
+    // Whether what the user does on a tutorial module counts: always, unless the user is in a workshop, which
+    // has to be running and to have the module enabled
+    this.isCounting = (userId, moduleId, callback) => {
+        this.getByUserId(userId, (err, workshop) => {
+            if (err) return callback(err, null);
+            if (!workshop) return callback(null, true);
+
+            return callback(null, workshop.state === "running" && workshop.modules.includes(moduleId));
+        });
+    };
+
+    this.remove = (code, callback) => {
+        workshopsCol.remove({
+            _id: code
+        }, err => {
+            if (err) return callback(err, null);
+            console.log(`Removed workshop ${code}`);
+            return callback(null, true);
+        });
+    };
+}
+
+module.exports = { WorkshopsDAO };
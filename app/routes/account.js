@@ -0,0 +1,86 @@
+const { ProfileDAO } = require("../data/profile-dao");
+const { ContributionsDAO } = require("../data/contributions-dao");
+const ExploitDetector = require("./exploit-detector");
+const {
+    corsAllowedOrigins,
+    isSecure
+} = require("../../config/config");
+
+// The fields of the profile returned as JSON, the ones the profile page shows
+const PROFILE_FIELDS = ["firstName", "lastName", "ssn", "dob", "address", "bankAcc", "bankRouting", "website"];
+
+/* The AccountHandler must be constructed with a connected db. It serves the data of the logged in user as JSON,
+ * for scripts of the app and of the partner sites allowed by the CORS policy. */
+function AccountHandler(db) {
+    "use strict";
+
+    // The data comes from the lab of the learner when lab isolation is on
+    const profileDAO = req => new ProfileDAO(db, req.session);
+    const contributionsDAO = req => new ContributionsDAO(db, req.session);
+    const exploitDetector = new ExploitDetector(db);
+
+    // Tells browsers which other origins may read the responses, sending the cookies of the user along
+    this.corsMiddleware = (req, res, next) => {
+        const origin = req.get("Origin");
+
+        // The response depends on the Origin, caches must not serve it to another one
+        res.vary("Origin");
+
+        if (origin) {
+            if (isSecure("cors", req.session)) {
+                // #region fixed cors
+                // Fix for CORS - only the origins of the allowlist get the headers, browsers block any other
+                // origin from reading the response
+                if (corsAllowedOrigins.includes(origin)) {
+                    res.set("Access-Control-Allow-Origin", origin);
+                    res.set("Access-Control-Allow-Credentials", "true");
+                }
+                // #endregion
+            } else {
+                // #region vulnerable cors
+                // Any origin is echoed back, and allowed to send the cookies of the user
+                res.set("Access-Control-Allow-Origin", origin);
+                res.set("Access-Control-Allow-Credentials", "true");
+                exploitDetector.origin(req, origin);
+                // #endregion
+            }
+        }
+
+        if (req.method === "OPTIONS") {
+            res.set("Access-Control-Allow-Methods", "GET");
+            return res.sendStatus(204);
+        }
+        return next();
+    };
+
+    this.displayProfile = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+
+        profileDAO(req).getByUserId(userId, (err, user) => {
+            if (err) return next(err);
+
+            return res.json(PROFILE_FIELDS.reduce((profile, field) => ({
+                ...profile,
+                [field]: user[field] || ""
+            }), {
+                userId: user._id,
+                userName: user.userName
+            }));
+        });
+    };
+
+    this.displayContributions = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+
+        contributionsDAO(req).getByUserId(parseInt(userId), (err, contributions) => {
+            if (err) return next(err);
+            return res.json(contributions);
+        });
+    };
+}
+
+module.exports = AccountHandler;
@@ -0,0 +1,43 @@
+const {
+    environmentalScripts,
+    vulnerabilities,
+    setSecure
+} = require("../../config/config");
+
+/* The AdminHandler must be constructed with a connected db */
+function AdminHandler(db) {
+    "use strict";
+
+    const renderVulnerabilities = (res, data) => {
+        return res.render("vulnerabilities", {
+            vulnerabilities,
+            user: {
+                isAdmin: true
+            },
+            environmentalScripts,
+            ...data
+        });
+    };
+
+    this.displayVulnerabilities = (req, res) => renderVulnerabilities(res, {});
+
+    this.updateVulnerability = (req, res) => {
+        const {
+            id,
+            secure
+        } = req.body;
+
+        try {
+            setSecure(id, secure === "true");
+        } catch (err) {
+            return renderVulnerabilities(res, {
+                updateError: err.message
+            });
+        }
+
+        // Redirect so the page is rendered with the new settings, e.g. a csrf token once A8 is fixed
+        return res.redirect("/admin/vulnerabilities");
+    };
+}
+
+module.exports = AdminHandler;
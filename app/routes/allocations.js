@@ -1,30 +1,43 @@
 const AllocationsDAO = require("../data/allocations-dao").AllocationsDAO;
+const ExploitDetector = require("./exploit-detector");
 const {
-    environmentalScripts
+    environmentalScripts,
+    getLevel,
+    isSecure
 } = require("../../config/config");
 
 function AllocationsHandler(db) {
     "use strict";
 
-    const allocationsDAO = new AllocationsDAO(db);
+    // Allocations are read from the lab of the learner when lab isolation is on
+    const allocationsDAO = req => new AllocationsDAO(db, req.session);
+    const exploitDetector = new ExploitDetector(db);
 
     this.displayAllocations = (req, res, next) => {
-        /*
-        // Fix for A4 Insecure DOR -  take user id from session instead of from URL param
-        const { userId } = req.session;
-        */
-        const {
+        // #region vulnerable a4
+        let {
             userId
         } = req.params;
+        // #endregion
+        if (isSecure("a4", req.session)) {
+            // #region fixed a4
+            // Fix for A4 Insecure DOR -  take user id from session instead of from URL param
+            userId = req.session.userId;
+            // #endregion
+        }
         const {
             threshold
         } = req.query;
 
-        allocationsDAO.getByUserIdAndThreshold(userId, threshold, (err, allocations) => {
+        const level = getLevel("a1-2", req.session);
+
+        allocationsDAO(req).getByUserIdAndThreshold(userId, threshold, level, (err, allocations) => {
             if (err) return next(err);
+            exploitDetector.allocations(req, userId, allocations);
             return res.render("allocations", {
                 userId,
                 allocations,
+                validateThreshold: level === "impossible",
                 environmentalScripts
             });
         });
@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const base64url = require("./base64url");
+const { UserDAO } = require("../data/user-dao");
+const { ContributionsDAO } = require("../data/contributions-dao");
+const { AllocationsDAO } = require("../data/allocations-dao");
+const ExploitDetector = require("./exploit-detector");
+const {
+    cookieSecret,
+    jwtSecret,
+    jwtLifetime,
+    isSecure
+} = require("../../config/config");
+
+const encode = object => {
+    "use strict";
+
+    return base64url.encode(JSON.stringify(object));
+};
+
+const decode = part => {
+    "use strict";
+
+    try {
+        return JSON.parse(base64url.decode(part).toString("utf8"));
+    } catch (err) {
+        return null;
+    }
+};
+
+const signatureOf = (content, secret) => {
+    "use strict";
+
+    return base64url.encode(crypto.createHmac("sha256", secret).update(content).digest());
+};
+
+const isSignedWith = (content, signature, secret) => {
+    "use strict";
+
+    const expected = Buffer.from(signatureOf(content, secret));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// A JWT is the base64url encoded JSON of its header and of its claims, and the signature of both
+const signToken = (claims, secret) => {
+    "use strict";
+
+    const content = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+    return `${content}.${signatureOf(content, secret)}`;
+};
+
+// #region vulnerable jwt
+// Checks the token with the algorithm its own header names, including "none" for unsigned tokens, and
+// trusts the claims for as long as the token exists
+const verifyToken = token => {
+    "use strict";
+
+    const [header, claims, signature = ""] = String(token).split(".");
+    const { alg } = decode(header) || {};
+
+    if (alg === "none") return decode(claims);
+    if (alg === "HS256" && isSignedWith(`${header}.${claims}`, signature, cookieSecret)) return decode(claims);
+    return null;
+};
+// #endregion
+
+// #region fixed jwt
+// Fix for JWT - the algorithm is the one the app signs with whatever the header says, the key is long and random
+// rather than a guessable string, and the token stops being valid once it expires
+const verifyTokenSafely = token => {
+    "use strict";
+
+    const [header, claims, signature = ""] = String(token).split(".");
+    const { alg } = decode(header) || {};
+
+    if (alg !== "HS256" || !isSignedWith(`${header}.${claims}`, signature, jwtSecret)) return null;
+
+    const verified = decode(claims);
+    if (!verified || typeof verified.exp !== "number" || verified.exp <= Math.floor(Date.now() / 1000)) return null;
+    return verified;
+};
+// #endregion
+
+/* The ApiHandler must be constructed with a connected db. The JSON API authenticates requests with the bearer
+ * token returned by POST /api/token, not with the session of the app. */
+function ApiHandler(db) {
+    "use strict";
+
+    const userDAO = new UserDAO(db);
+    const exploitDetector = new ExploitDetector(db);
+
+    // Exchanges the credentials of a user for a token
+    this.handleTokenRequest = (req, res, next) => {
+        const {
+            userName,
+            password
+        } = req.body;
+
+        // JSON bodies can hold objects, the credentials are only ever compared as strings
+        userDAO.validateLogin(String(userName), String(password), (err, user) => {
+            if (err && (err.noSuchUser || err.invalidPassword)) {
+                return res.status(401).json({
+                    error: "Invalid username and/or password"
+                });
+            }
+            if (err) return next(err);
+
+            const issuedAt = Math.floor(Date.now() / 1000);
+
+            if (isSecure("jwt", req.session)) {
+                // #region fixed jwt
+                return res.json({
+                    token: signToken({
+                        sub: user._id,
+                        userName: user.userName,
+                        iat: issuedAt,
+                        exp: issuedAt + jwtLifetime
+                    }, jwtSecret),
+                    expiresIn: jwtLifetime
+                });
+                // #endregion
+            }
+
+            // #region vulnerable jwt
+            return res.json({
+                token: signToken({
+                    sub: user._id,
+                    userName: user.userName,
+                    iat: issuedAt
+                }, cookieSecret)
+            });
+            // #endregion
+        });
+    };
+
+    // Lets the request through with the claims of a valid "Authorization: Bearer <token>" header in req.token
+    this.isTokenValidMiddleware = (req, res, next) => {
+        const [scheme, token] = (req.get("Authorization") || "").split(" ");
+        const claims = scheme === "Bearer" && token &&
+            (isSecure("jwt", req.session) ? verifyTokenSafely(token) : verifyToken(token));
+
+        if (!claims || !Number.isInteger(claims.sub)) {
+            return res.status(401).json({
+                error: "A valid bearer token is required"
+            });
+        }
+
+        // Tokens of users that were deleted since are not valid anymore
+        return userDAO.getUserById(claims.sub, (err, user) => {
+            if (err) return next(err);
+            if (!user) {
+                return res.status(401).json({
+                    error: "A valid bearer token is required"
+                });
+            }
+
+            exploitDetector.token(req, token, claims);
+            req.token = claims;
+            return next();
+        });
+    };
+
+    // Lab data is read from the lab of the learner when the request comes with their session
+    this.displayContributions = (req, res, next) => {
+        new ContributionsDAO(db, req.session).getByUserId(req.token.sub, (err, contributions) => {
+            if (err) return next(err);
+            return res.json(contributions);
+        });
+    };
+
+    this.displayAllocations = (req, res, next) => {
+        const allocationsDAO = new AllocationsDAO(db, req.session);
+
+        allocationsDAO.getByUserIdAndThreshold(req.token.sub, null, "impossible", (err, allocations) => {
+            // No allocations is reported as a string rather than an error
+            if (typeof err === "string") {
+                return res.status(404).json({
+                    error: err
+                });
+            }
+            if (err) return next(err);
+            return res.json(allocations);
+        });
+    };
+}
+
+module.exports = ApiHandler;
@@ -0,0 +1,19 @@
+// The URL safe base64 of RFC 4648, without padding, as used by signed tokens. Buffers only learned the
+// "base64url" encoding in Node 15.7 and the app runs on older versions, so it is done by hand.
+
+const encode = buffer => {
+    "use strict";
+
+    return Buffer.from(buffer).toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const decode = text => {
+    "use strict";
+
+    return Buffer.from(String(text).replace(/-/g, "+").replace(/_/g, "/"), "base64");
+};
+
+module.exports = {
+    encode,
+    decode
+};
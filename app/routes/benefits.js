@@ -8,11 +8,12 @@ const {
 function BenefitsHandler(db) {
     "use strict";
 
-    const benefitsDAO = new BenefitsDAO(db);
+    // The users listed and updated are those of the lab in the session when lab isolation is on
+    const benefitsDAO = req => new BenefitsDAO(db, req.session);
 
     this.displayBenefits = (req, res, next) => {
 
-        benefitsDAO.getAllNonAdminUsers((error, users) => {
+        benefitsDAO(req).getAllNonAdminUsers((error, users) => {
 
             if (error) return next(error);
 
@@ -32,11 +33,11 @@ function BenefitsHandler(db) {
             benefitStartDate
         } = req.body;
 
-        benefitsDAO.updateBenefits(userId, benefitStartDate, (error) => {
+        benefitsDAO(req).updateBenefits(userId, benefitStartDate, (error) => {
 
             if (error) return next(error);
 
-            benefitsDAO.getAllNonAdminUsers((error, users) => {
+            benefitsDAO(req).getAllNonAdminUsers((error, users) => {
                 if (error) return next(error);
 
                 const data = {
@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const base64url = require("./base64url");
+const { UserDAO } = require("../data/user-dao");
+const { ProgressDAO } = require("../data/progress-dao");
+const { ChallengesDAO } = require("../data/challenges-dao");
+const { QuizAttemptsDAO } = require("../data/quiz-attempts-dao");
+const {
+    getModule,
+    certificateModules
+} = require("./tutorial-modules");
+const {
+    certificateSecret,
+    environmentalScripts
+} = require("../../config/config");
+
+const signatureOf = payload => {
+    "use strict";
+
+    return crypto.createHmac("sha256", certificateSecret).update(payload).digest();
+};
+
+// A certificate is a self contained token: the certificate itself and its HMAC signature. Anything shown on a
+// certificate is in the token, so verifying one needs neither the db nor a network connection.
+const signCertificate = certificate => {
+    "use strict";
+
+    const payload = base64url.encode(JSON.stringify(certificate));
+    return `${payload}.${base64url.encode(signatureOf(payload))}`;
+};
+
+// The certificate of a token, or null when the token was not signed by this app or was tampered with
+const verifyCertificate = token => {
+    "use strict";
+
+    const [payload, signature] = String(token).split(".");
+    if (!payload || !signature) return null;
+
+    const expected = signatureOf(payload);
+    const given = base64url.decode(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    try {
+        return JSON.parse(base64url.decode(payload).toString("utf8"));
+    } catch (err) {
+        return null;
+    }
+};
+
+/* The CertificatesHandler must be constructed with a connected db */
+function CertificatesHandler(db) {
+    "use strict";
+
+    const userDAO = new UserDAO(db);
+    const progressDAO = new ProgressDAO(db);
+    const challengesDAO = new ChallengesDAO(db);
+    const quizAttemptsDAO = new QuizAttemptsDAO(db);
+
+    const verificationUrlOf = (req, token) => `${req.protocol}://${req.get("host")}/certificates/verify/${token}`;
+
+    // The certificate is issued on the day the last module was completed, so it stays the same every time the
+    // learner opens it. Calls back with null and the modules left when the learner is not there yet.
+    const certificateFor = (userId, callback) => {
+        userDAO.getUserById(userId, (err, user) => {
+            if (err) return callback(err);
+
+            progressDAO.getByUserId(userId, (err, progress) => {
+                if (err) return callback(err);
+
+                const missing = certificateModules.filter(page => !progress.completed[page]);
+                if (!user || missing.length) return callback(null, null, missing.map(getModule));
+
+                challengesDAO.getSolvesByUserId(userId, (err, solves) => {
+                    if (err) return callback(err);
+
+                    quizAttemptsDAO.getByUserId(userId, (err, attempts) => {
+                        if (err) return callback(err);
+
+                        const completed = certificateModules.map(page => ({
+                            id: page,
+                            title: getModule(page).title,
+                            completedAt: new Date(progress.completed[page].timestamp).toISOString()
+                        }));
+
+                        return callback(null, {
+                            userName: user.userName,
+                            name: `${user.firstName} ${user.lastName}`,
+                            modules: completed,
+                            score: solves.reduce((total, solve) => total + solve.points, 0),
+                            quizzesPassed: new Set(attempts.filter(attempt => attempt.passed)
+                                .map(attempt => attempt.page)).size,
+                            issuedAt: completed.map(completedModule => completedModule.completedAt).sort().pop()
+                        });
+                    });
+                });
+            });
+        });
+    };
+
+    this.displayCertificate = (req, res, next) => {
+        certificateFor(req.session.userId, (err, certificate, missing) => {
+            if (err) return next(err);
+
+            if (!certificate) {
+                return res.render("certificate", {
+                    missing,
+                    environmentalScripts
+                });
+            }
+
+            const token = signCertificate(certificate);
+            return res.render("certificate", {
+                certificate,
+                certificateId: token.slice(-12),
+                verificationUrl: verificationUrlOf(req, token),
+                environmentalScripts
+            });
+        });
+    };
+
+    // Anyone holding a certificate, instructors first, can check it is authentic without logging in
+    this.displayVerification = (req, res) => {
+        const {
+            token
+        } = req.params;
+        const certificate = verifyCertificate(token);
+
+        return res.status(certificate ? 200 : 404).render("certificate", {
+            certificate,
+            certificateId: certificate && token.slice(-12),
+            verificationUrl: certificate && verificationUrlOf(req, token),
+            verification: true,
+            environmentalScripts
+        });
+    };
+}
+
+module.exports = CertificatesHandler;
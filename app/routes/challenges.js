@@ -0,0 +1,119 @@
+const ChallengesDAO = require("../data/challenges-dao").ChallengesDAO;
+const { WorkshopsDAO } = require("../data/workshops-dao");
+const {
+    environmentalScripts
+} = require("../../config/config");
+
+const LOOPBACK_ADDRESSES = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+
+/* The ChallengesHandler must be constructed with a connected db */
+function ChallengesHandler(db) {
+    "use strict";
+
+    const challengesDAO = new ChallengesDAO(db);
+    const workshopsDAO = new WorkshopsDAO(db);
+
+    const renderChallenges = (req, res, next, data) => {
+        const {
+            userId
+        } = req.session;
+
+        challengesDAO.getAll((err, challenges) => {
+            if (err) return next(err);
+
+            challengesDAO.getSolvesByUserId(userId, (err, solves) => {
+                if (err) return next(err);
+
+                const solved = solves.map(solve => solve.challengeId);
+
+                return res.render("challenges", {
+                    // Never hand the flags over to the view
+                    challenges: challenges.map(({ _id, title, description, points }) => ({
+                        id: _id,
+                        title,
+                        description,
+                        points,
+                        solved: solved.includes(_id)
+                    })),
+                    userId,
+                    environmentalScripts,
+                    ...data
+                });
+            });
+        });
+    };
+
+    this.displayChallenges = (req, res, next) => renderChallenges(req, res, next, {});
+
+    this.handleFlagSubmission = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+
+        challengesDAO.getByFlag(req.body.flag, (err, challenge) => {
+            if (err) return next(err);
+
+            if (!challenge) {
+                return renderChallenges(req, res, next, {
+                    submitError: "Incorrect flag, keep trying."
+                });
+            }
+
+            // Learners in a workshop only score on the modules of the workshop, while it is running
+            workshopsDAO.isCounting(userId, challenge.tutorial, (err, counting) => {
+                if (err) return next(err);
+
+                if (!counting) {
+                    return renderChallenges(req, res, next, {
+                        submitError: "Right flag, but it doesn't count: your workshop is not running or doesn't " +
+                            "include this module."
+                    });
+                }
+
+                challengesDAO.submitFlag(userId, req.body.flag, (err, result) => {
+                    if (err) return next(err);
+
+                    const { alreadySolved, points } = result;
+                    return renderChallenges(req, res, next, {
+                        submitSuccess: alreadySolved ?
+                            `You have already solved "${challenge.title}".` :
+                            `Correct! You solved "${challenge.title}" for ${points} points.`
+                    });
+                });
+            });
+        });
+    };
+
+    this.displayScoreboard = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+
+        challengesDAO.getScoreboard((err, scoreboard) => {
+            if (err) return next(err);
+
+            return res.render("scoreboard", {
+                scoreboard,
+                userId,
+                environmentalScripts
+            });
+        });
+    };
+
+    // Internal only endpoint holding the flag of the SSRF challenge. Requests that don't come from
+    // the server itself get the same response as any unknown route.
+    this.displayInternalFlag = (req, res, next) => {
+        if (!LOOPBACK_ADDRESSES.includes(req.connection.remoteAddress)) {
+            return next();
+        }
+
+        challengesDAO.getById("ssrf", (err, challenge) => {
+            if (err) return next(err);
+            if (!challenge) return next();
+
+            return res.type("text/plain").send(challenge.flag);
+        });
+    };
+}
+
+module.exports = ChallengesHandler;
@@ -0,0 +1,179 @@
+const fs = require("fs");
+const path = require("path");
+const hljs = require("highlight.js/lib/core");
+
+hljs.registerLanguage("javascript", require("highlight.js/lib/languages/javascript"));
+
+const ROOT_DIR = path.join(__dirname, "../..");
+
+// Vulnerable and fixed code is tagged in the sources with region comments, ie:
+//     // #region vulnerable a1-1
+//     preTax = eval(req.body.preTax);
+//     // #endregion
+// Regions may nest, and a region of the same kind and id can be split over several places of a file.
+const REGION_START_RE = /^\s*\/\/ #region (vulnerable|fixed) ([\w-]+)\s*$/;
+const REGION_END_RE = /^\s*\/\/ #endregion\s*$/;
+
+// Tokens of the markup produced by highlight.js
+const HIGHLIGHT_TOKEN_RE = /(<span class="[\w\s-]*">|<\/span>|\n)/;
+
+// Collects the lines of the vulnerable and the fixed regions with the given id, along with their line numbers
+const readRegions = (file, id) => {
+    "use strict";
+
+    const regions = {
+        vulnerable: [],
+        fixed: []
+    };
+    const open = [];
+
+    fs.readFileSync(path.join(ROOT_DIR, file), "utf8").split("\n").forEach((text, index) => {
+        const start = text.match(REGION_START_RE);
+
+        if (start) {
+            open.push(start[2] === id ? start[1] : null);
+            return;
+        }
+        if (REGION_END_RE.test(text)) {
+            open.pop();
+            return;
+        }
+
+        new Set(open.filter(kind => kind)).forEach(kind => regions[kind].push({
+            number: index + 1,
+            text
+        }));
+    });
+
+    if (open.length) {
+        throw new Error(`Unterminated #region in ${file}`);
+    }
+    if (!regions.vulnerable.length && !regions.fixed.length) {
+        throw new Error(`No #region vulnerable ${id} or #region fixed ${id} in ${file}`);
+    }
+
+    return regions;
+};
+
+// Strips the indentation the lines have in common
+const dedent = lines => {
+    "use strict";
+
+    const indents = lines.filter(line => line.text.trim()).map(line => line.text.match(/^\s*/)[0].length);
+    const indent = Math.min(...indents);
+
+    return lines.map(line => ({
+        number: line.number,
+        text: line.text.slice(indent).replace(/\s+$/, "")
+    }));
+};
+
+// Highlights the code as a whole, so comments and strings spanning lines are right, then splits the markup
+// back into lines by closing the spans still open at the end of a line and reopening them on the next one
+const highlight = lines => {
+    "use strict";
+
+    const highlighted = [];
+    const open = [];
+    let markup = "";
+
+    hljs.highlight(lines.map(line => line.text).join("\n"), {
+        language: "javascript"
+    }).value.split(HIGHLIGHT_TOKEN_RE).forEach(token => {
+        if (token === "\n") {
+            highlighted.push(markup + "</span>".repeat(open.length));
+            markup = open.join("");
+            return;
+        }
+        if (token === "</span>") {
+            open.pop();
+        } else if (token.startsWith("<span")) {
+            open.push(token);
+        }
+        markup += token;
+    });
+    highlighted.push(markup);
+
+    return lines.map((line, index) => ({
+        number: line.number,
+        html: highlighted[index]
+    }));
+};
+
+// Longest common subsequence of the two sides, lines are compared regardless of their indentation.
+// Returns the operations turning the vulnerable lines into the fixed ones.
+const diffLines = (left, right) => {
+    "use strict";
+
+    const same = (i, j) => left[i].text.trim() === right[j].text.trim();
+    const lengths = Array.from({
+        length: left.length + 1
+    }, () => new Array(right.length + 1).fill(0));
+
+    for (let i = left.length - 1; i >= 0; i--) {
+        for (let j = right.length - 1; j >= 0; j--) {
+            lengths[i][j] = same(i, j) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < left.length || j < right.length) {
+        if (i < left.length && j < right.length && same(i, j)) {
+            operations.push({ type: "same", left: i++, right: j++ });
+        } else if (j >= right.length || (i < left.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+            operations.push({ type: "removed", left: i++ });
+        } else {
+            operations.push({ type: "added", right: j++ });
+        }
+    }
+    return operations;
+};
+
+// Compares the vulnerable and the fixed regions of a file side by side. Every row holds a line of each side,
+// removed and added lines between two unchanged ones are paired up as changed.
+const compareRegions = (file, id) => {
+    "use strict";
+
+    const regions = readRegions(file, id);
+    const left = highlight(dedent(regions.vulnerable));
+    const right = highlight(dedent(regions.fixed));
+    const rows = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+        for (let index = 0; index < Math.max(removed.length, added.length); index++) {
+            rows.push({
+                type: removed[index] && added[index] ? "changed" : removed[index] ? "removed" : "added",
+                left: removed[index] || null,
+                right: added[index] || null
+            });
+        }
+        removed = [];
+        added = [];
+    };
+
+    diffLines(regions.vulnerable, regions.fixed).forEach(operation => {
+        if (operation.type === "removed") {
+            removed.push(left[operation.left]);
+        } else if (operation.type === "added") {
+            added.push(right[operation.right]);
+        } else {
+            flush();
+            rows.push({
+                type: "same",
+                left: left[operation.left],
+                right: right[operation.right]
+            });
+        }
+    });
+    flush();
+
+    return rows;
+};
+
+module.exports = {
+    compareRegions
+};
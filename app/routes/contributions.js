@@ -1,20 +1,55 @@
+const multer = require("multer");
 const ContributionsDAO = require("../data/contributions-dao").ContributionsDAO;
+const ExploitDetector = require("./exploit-detector");
 const {
-    environmentalScripts
+    environmentalScripts,
+    getLevel,
+    isSecure
 } = require("../../config/config");
 
+// Payroll files are small, they are read from memory and never stored
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 64 * 1024
+    }
+}).single("payroll");
+
+const CONTRIBUTION_TYPES = ["preTax", "afterTax", "roth"];
+
+// Partial defences against A1-1 SSJS Injection for the "medium" and "high" levels, both still eval() the input.
+// A blacklist is bypassed by building the keywords at runtime, e.g. global["proc" + "ess"],
+// and an arithmetic only pattern is safe from injection but still lets expressions reach eval().
+const EVAL_BLACKLIST = ["require", "process", "while", "for", "eval"];
+const ARITHMETIC_RE = /^[0-9+\-*\/ ().]*$/;
+
+const passesEvalFilter = (input, level) => {
+    "use strict";
+
+    const value = String(input);
+    if (level === "medium") {
+        return !EVAL_BLACKLIST.some(keyword => value.includes(keyword));
+    }
+    if (level === "high") {
+        return ARITHMETIC_RE.test(value);
+    }
+    return true;
+};
+
 /* The ContributionsHandler must be constructed with a connected db */
 function ContributionsHandler(db) {
     "use strict";
 
-    const contributionsDAO = new ContributionsDAO(db);
+    // Contributions are kept in the lab of the learner when lab isolation is on
+    const contributionsDAO = req => new ContributionsDAO(db, req.session);
+    const exploitDetector = new ExploitDetector(db);
 
     this.displayContributions = (req, res, next) => {
         const {
             userId
         } = req.session;
 
-        contributionsDAO.getByUserId(userId, (error, contrib) => {
+        contributionsDAO(req).getByUserId(userId, (error, contrib) => {
             if (error) return next(error);
 
             contrib.userId = userId; //set for nav menu items
@@ -25,20 +60,9 @@ function ContributionsHandler(db) {
         });
     };
 
-    this.handleContributionsUpdate = (req, res, next) => {
-
-        /*jslint evil: true */
-        // Insecure use of eval() to parse inputs
-        const preTax = eval(req.body.preTax);
-        const afterTax = eval(req.body.afterTax);
-        const roth = eval(req.body.roth);
-
-        /*
-        //Fix for A1 -1 SSJS Injection attacks - uses alternate method to eval
-        const preTax = parseInt(req.body.preTax);
-        const afterTax = parseInt(req.body.afterTax);
-        const roth = parseInt(req.body.roth);
-        */
+    // Validates the new contributions and saves them, whether they come from the form or from a payroll file.
+    // The values read from a payroll file are passed in imported, to show them along with validation errors.
+    const updateContributions = (req, res, next, preTax, afterTax, roth, imported) => {
         const {
             userId
         } = req.session;
@@ -49,6 +73,7 @@ function ContributionsHandler(db) {
         if (isInvalid) {
             return res.render("contributions", {
                 updateError: "Invalid contribution percentages",
+                imported,
                 userId,
                 environmentalScripts
             });
@@ -57,12 +82,13 @@ function ContributionsHandler(db) {
         if (preTax + afterTax + roth > 30) {
             return res.render("contributions", {
                 updateError: "Contribution percentages cannot exceed 30 %",
+                imported,
                 userId,
                 environmentalScripts
             });
         }
 
-        contributionsDAO.update(userId, preTax, afterTax, roth, (err, contributions) => {
+        contributionsDAO(req).update(userId, preTax, afterTax, roth, (err, contributions) => {
 
             if (err) return next(err);
 
@@ -72,9 +98,109 @@ function ContributionsHandler(db) {
                 environmentalScripts
             });
         });
+    };
+
+    this.handleContributionsUpdate = (req, res, next) => {
+
+        const {
+            userId
+        } = req.session;
+        const level = getLevel("a1-1", req.session);
+        let preTax, afterTax, roth;
+
+        if (level === "impossible") {
+            // #region fixed a1-1
+            //Fix for A1 -1 SSJS Injection attacks - uses alternate method to eval
+            preTax = parseInt(req.body.preTax);
+            afterTax = parseInt(req.body.afterTax);
+            roth = parseInt(req.body.roth);
+            // #endregion
+        } else {
+            const inputs = [req.body.preTax, req.body.afterTax, req.body.roth];
+            if (!inputs.every(input => passesEvalFilter(input, level))) {
+                return res.render("contributions", {
+                    updateError: "Invalid contribution percentages",
+                    userId,
+                    environmentalScripts
+                });
+            }
 
+            /*jslint evil: true */
+            // #region vulnerable a1-1
+            // Insecure use of eval() to parse inputs
+            preTax = eval(req.body.preTax);
+            afterTax = eval(req.body.afterTax);
+            roth = eval(req.body.roth);
+            // #endregion
+        }
+
+        return updateContributions(req, res, next, preTax, afterTax, roth);
     };
 
+    // Reads the contributions from the <preTax>, <afterTax> and <roth> elements of an XML payroll file
+    this.handleContributionsImport = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+        const renderImportError = importError => res.render("contributions", {
+            importError,
+            userId,
+            environmentalScripts
+        });
+
+        upload(req, res, err => {
+            if (err) return renderImportError(`Unable to read the payroll file: ${err.message}`);
+            if (!req.file) return renderImportError("Pick a payroll file to import");
+
+            // The parser is a native addon that may not be built for this version of Node, it is loaded here so
+            // that only the import goes down with it
+            let libxmljs;
+            try {
+                libxmljs = require("libxmljs2");
+            } catch (err) {
+                console.log("Error: unable to load the XML parser libxmljs2", err.message);
+                return renderImportError("Payroll files can't be imported, the XML parser is not installed on " +
+                    "this server. Run npm install with the version of Node the app runs on.");
+            }
+
+            const xml = req.file.buffer.toString("utf8");
+            let payroll;
+
+            try {
+                if (isSecure("xxe", req.session)) {
+                    // #region fixed xxe
+                    // Fix for XXE - payroll files have no use for a DTD, so documents declaring one are rejected
+                    // and entities are neither substituted nor loaded from the network
+                    payroll = libxmljs.parseXml(xml, {
+                        noent: false,
+                        nonet: true
+                    });
+                    if (payroll.getDtd()) return renderImportError("Payroll files can't declare a DTD");
+                    // #endregion
+                } else {
+                    // #region vulnerable xxe
+                    // Substitutes entities, including external ones read from files or urls
+                    payroll = libxmljs.parseXml(xml, {
+                        noent: true
+                    });
+                    exploitDetector.xml(req, xml);
+                    // #endregion
+                }
+            } catch (err) {
+                return renderImportError(`The payroll file is not valid XML: ${err.message}`);
+            }
+
+            const elements = CONTRIBUTION_TYPES.map(type => payroll.get(`//${type}`));
+            if (!elements.every(Boolean)) {
+                return renderImportError("The payroll file needs preTax, afterTax and roth elements");
+            }
+
+            const imported = elements.map(element => element.text().trim());
+            const [preTax, afterTax, roth] = imported.map(value => parseInt(value, 10));
+
+            return updateContributions(req, res, next, preTax, afterTax, roth, imported);
+        });
+    };
 }
 
 module.exports = ContributionsHandler;
@@ -0,0 +1,79 @@
+const serialize = require("node-serialize");
+const ExploitDetector = require("./exploit-detector");
+const {
+    isSecure
+} = require("../../config/config");
+
+// The dashboard panels users can hide, kept in a cookie rather than in the db
+const DISPLAY_COOKIE = "dashboardDisplay";
+const DISPLAY_DEFAULTS = {
+    announcements: true,
+    summary: true,
+    chart: true
+};
+
+// Known panels only, the defaults for any missing from the preferences or not a boolean
+const displayOf = preferences => {
+    "use strict";
+
+    return Object.keys(DISPLAY_DEFAULTS).reduce((display, panel) => ({
+        ...display,
+        [panel]: preferences && typeof preferences[panel] === "boolean" ? preferences[panel] : DISPLAY_DEFAULTS[panel]
+    }), {});
+};
+
+/* The DisplayHandler must be constructed with a connected db */
+function DisplayHandler(db) {
+    "use strict";
+
+    const exploitDetector = new ExploitDetector(db);
+
+    // The dashboard panels to show, from the cookie of the user
+    this.readDisplay = req => {
+        try {
+            if (isSecure("deserialization", req.session)) {
+                // #region fixed deserialization
+                // Fix for Insecure Deserialization - the cookie holds JSON signed with the cookie secret. A cookie
+                // that was tampered with reads as false, and JSON is only ever parsed into data.
+                return displayOf(req.signedCookies[DISPLAY_COOKIE]);
+                // #endregion
+            }
+
+            if (!req.cookies[DISPLAY_COOKIE]) return displayOf(null);
+
+            // #region vulnerable deserialization
+            const serialized = Buffer.from(req.cookies[DISPLAY_COOKIE], "base64").toString();
+            exploitDetector.deserialization(req, serialized);
+            return displayOf(serialize.unserialize(serialized));
+            // #endregion
+        } catch (err) {
+            console.log("Unable to read the dashboard display cookie", err.message);
+            return displayOf(null);
+        }
+    };
+
+    this.handleDisplayUpdate = (req, res) => {
+        const display = displayOf({
+            announcements: req.body.announcements === "on",
+            summary: req.body.summary === "on",
+            chart: req.body.chart === "on"
+        });
+
+        if (isSecure("deserialization", req.session)) {
+            // #region fixed deserialization
+            res.cookie(DISPLAY_COOKIE, display, {
+                signed: true,
+                httpOnly: true
+            });
+            // #endregion
+        } else {
+            // #region vulnerable deserialization
+            res.cookie(DISPLAY_COOKIE, Buffer.from(serialize.serialize(display)).toString("base64"));
+            // #endregion
+        }
+
+        return res.redirect("/dashboard");
+    };
+}
+
+module.exports = DisplayHandler;
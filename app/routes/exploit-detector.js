@@ -0,0 +1,221 @@
+const marked = require("marked");
+const path = require("path");
+const base64url = require("./base64url");
+const { ProgressDAO } = require("../data/progress-dao");
+const { WorkshopsDAO } = require("../data/workshops-dao");
+const { USER_DEFAULTS } = require("../data/user-dao");
+const {
+    OPENING_BALANCE,
+    withdrawnFrom
+} = require("../data/accounts-dao");
+const {
+    isSecure
+} = require("../../config/config");
+
+// Hosts the learning resources link points to, redirects anywhere else are off-site
+const LEARNING_RESOURCE_HOSTS = ["www.khanacademy.org"];
+
+// A function serialized by node-serialize and called right away, which runs as soon as it is unserialized
+const SERIALIZED_IIFE_RE = /_\$\$ND_FUNC\$\$_[\s\S]*\}\s*\(\s*\)\s*"/;
+
+// The declaration of an entity replaced by the content of a file or of a url
+const EXTERNAL_ENTITY_RE = /<!ENTITY\s+(%\s*)?[^\s>]+\s+(SYSTEM|PUBLIC)\b/i;
+
+// Characters a shell reads as the end of a command or as the start of another one
+const SHELL_METACHARACTERS_RE = /[;&|`$<>\n]/;
+
+// Template expressions or tags reaching for the objects behind the data they were given
+const TEMPLATE_ESCAPE_RE = /\{[{%][^}%]*\b(constructor|__proto__|process|require|global)\b/;
+
+// Markup that runs script once rendered: script tags, event handler attributes and javascript: urls
+const EXECUTABLE_MARKUP_RE = [/<script\b/i, /<\w+\s[\s\S]*?\bon\w+\s*=/i, /(href|src)\s*=\s*["']?\s*javascript:/i];
+
+// Browsers decode numeric character references in attributes, even without the trailing semicolon,
+// which is how "javascript&#58;" slips through the marked sanitizer
+const decodeCharacterReferences = html => {
+    "use strict";
+
+    return html.replace(/&#(?:x([0-9a-f]+)|([0-9]+));?/gi, (match, hex, decimal) => {
+        return String.fromCharCode(hex ? parseInt(hex, 16) : parseInt(decimal, 10));
+    });
+};
+
+// The defaults every user is layered on and Object.prototype behind them, shared by every request of every learner
+const sharedUserState = () => {
+    "use strict";
+
+    return JSON.stringify({
+        defaults: USER_DEFAULTS,
+        prototype: Object.keys(Object.prototype).map(key => [key, String(Object.prototype[key])])
+    });
+};
+
+/* The ExploitDetector must be constructed with a connected db. It recognises successful exploits
+ * in the requests handled by the app and marks the matching tutorial module as completed for the
+ * learner, detection never gets in the way of the request itself. */
+function ExploitDetector(db) {
+    "use strict";
+
+    const progressDAO = new ProgressDAO(db);
+    const workshopsDAO = new WorkshopsDAO(db);
+
+    // Learners in a workshop only complete the modules of the workshop, while it is running
+    const complete = (req, moduleId, evidence) => {
+        const {
+            userId
+        } = req.session;
+
+        if (!userId) return;
+
+        workshopsDAO.isCounting(userId, moduleId, (err, counting) => {
+            if (err) return console.log(`Error: unable to check the workshop of the user for module ${moduleId}`, err);
+            if (!counting) return console.log(`Exploit of module ${moduleId} not counted outside of the workshop`);
+
+            progressDAO.markCompleted(userId, moduleId, evidence, err => {
+                if (err) console.log(`Error: unable to record completion of module ${moduleId}`, err);
+            });
+        });
+    };
+
+    // A1 NoSQL Injection when a threshold query returns allocations of users other than the requested one,
+    // A4 Insecure DOR when the allocations of another user are shown without any injection
+    this.allocations = (req, userId, allocations) => {
+        const isOwnedBy = id => allocation => parseInt(allocation.userId) === parseInt(id);
+
+        if (req.query.threshold && !allocations.every(isOwnedBy(userId))) {
+            complete(req, "a1", `threshold: ${req.query.threshold}`);
+        } else if (!allocations.every(isOwnedBy(req.session.userId))) {
+            complete(req, "a4", `allocations of user ${userId}`);
+        }
+    };
+
+    // A3 XSS when a memo renders to markup that runs script, which requires autoescape to be off
+    this.memo = (req, memo) => {
+        if (isSecure("a3") || typeof memo !== "string") return;
+
+        const html = decodeCharacterReferences(marked(memo));
+        if (EXECUTABLE_MARKUP_RE.some(re => re.test(html))) {
+            complete(req, "a3", `memo: ${memo}`);
+        }
+    };
+
+    // A10 Unvalidated Redirects when the learning resources link is sent to another site
+    this.redirect = (req, url) => {
+        try {
+            const { hostname } = new URL(url, `http://${req.headers.host}`);
+
+            if (hostname !== req.hostname && !LEARNING_RESOURCE_HOSTS.includes(hostname)) {
+                complete(req, "a10", `redirect: ${url}`);
+            }
+        } catch (err) {
+            // Not a url the browser could follow either
+        }
+    };
+
+    // State shared by every learner that a merge of preferences may pollute, taken right before the merge
+    this.sharedUserState = sharedUserState;
+
+    // Prototype Pollution when the defaults every user is layered on grant a role, or when anything at all
+    // was added to Object.prototype. Credit goes to the request that changed them from the state it started with,
+    // not to every learner who happens to come along while they are polluted.
+    this.preferences = (req, stateBefore) => {
+        const polluted = Object.keys(Object.prototype);
+
+        if (sharedUserState() === stateBefore) return;
+
+        if (USER_DEFAULTS.isAdmin || USER_DEFAULTS.isInstructor || polluted.length) {
+            complete(req, "prototype-pollution", `user defaults: ${JSON.stringify(USER_DEFAULTS)}, ` +
+                `Object.prototype: ${polluted.join(", ")}`);
+        }
+    };
+
+    // Path Traversal when a file is written or read outside of the folder it belongs to
+    this.filePath = (req, root, relativePath) => {
+        const resolved = path.resolve(root, relativePath);
+
+        if (!resolved.startsWith(`${path.resolve(root)}${path.sep}`)) {
+            complete(req, "file-upload", `path: ${relativePath}`);
+        }
+    };
+
+    // JWT when the API accepts an unsigned token, or a token for another user than the one logged in
+    this.token = (req, token, claims) => {
+        let header;
+        try {
+            header = JSON.parse(base64url.decode(token.split(".")[0]).toString("utf8"));
+        } catch (err) {
+            header = {};
+        }
+
+        if (String(header.alg).toLowerCase() === "none") {
+            complete(req, "jwt", `unsigned token: ${token}`);
+        } else if (req.session.userId && parseInt(req.session.userId) !== claims.sub) {
+            complete(req, "jwt", `token of user ${claims.sub}: ${token}`);
+        }
+    };
+
+    // XXE when an imported payroll file declares an external entity, which the parser substitutes
+    this.xml = (req, xml) => {
+        if (EXTERNAL_ENTITY_RE.test(xml)) {
+            complete(req, "xxe", `payroll: ${xml}`);
+        }
+    };
+
+    // OS Command Injection when input run by a shell holds characters that chain or substitute commands
+    this.command = (req, inputs) => {
+        const injected = inputs.find(input => SHELL_METACHARACTERS_RE.test(input));
+        if (injected !== undefined) {
+            complete(req, "command-injection", `input: ${injected}`);
+        }
+    };
+
+    // SSTI when a memo template compiled by the template engine climbs from its data to the code of the app
+    this.template = (req, body) => {
+        if (TEMPLATE_ESCAPE_RE.test(body)) {
+            complete(req, "ssti", `template: ${body}`);
+        }
+    };
+
+    // CORS when the account data of a logged in user is shared with another origin than the app
+    this.origin = (req, origin) => {
+        if (origin !== `${req.protocol}://${req.get("host")}`) {
+            complete(req, "cors", `origin: ${origin}`);
+        }
+    };
+
+    // Race Condition when more was withdrawn from an account than it ever held
+    this.withdrawals = (req, account) => {
+        const withdrawn = withdrawnFrom(account);
+
+        if (withdrawn > OPENING_BALANCE) {
+            complete(req, "race-condition", `withdrew $${withdrawn} of $${OPENING_BALANCE}`);
+        }
+    };
+
+    // Insecure Deserialization when the dashboard display cookie holds a function that calls itself
+    this.deserialization = (req, serialized) => {
+        if (SERIALIZED_IIFE_RE.test(serialized)) {
+            complete(req, "deserialization", `cookie: ${serialized}`);
+        }
+    };
+
+    // A2 Session Fixation when a session started by another browser keeps its id across the login.
+    // The client is remembered when the login page is displayed, which is where an attacker gets a session id.
+    this.rememberSessionClient = (req) => {
+        if (!req.session.client) {
+            req.session.client = req.get("User-Agent") || "";
+        }
+    };
+
+    this.login = (req, previousSessionId) => {
+        const {
+            client
+        } = req.session;
+
+        if (req.sessionID === previousSessionId && client !== undefined && client !== (req.get("User-Agent") || "")) {
+            complete(req, "a2", `session id kept across login: ${previousSessionId}`);
+        }
+    };
+}
+
+module.exports = ExploitDetector;
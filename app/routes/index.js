@@ -5,8 +5,43 @@ const ContributionsHandler = require("./contributions");
 const AllocationsHandler = require("./allocations");
 const MemosHandler = require("./memos");
 const ResearchHandler = require("./research");
-const tutorialRouter = require("./tutorial");
+const AdminHandler = require("./admin");
+const ChallengesHandler = require("./challenges");
+const InstructorHandler = require("./instructor");
+const CertificatesHandler = require("./certificates");
+const LabHandler = require("./lab");
+const PreferencesHandler = require("./preferences");
+const DisplayHandler = require("./display");
+const ApiHandler = require("./api");
+const StatementsHandler = require("./statements");
+const AccountHandler = require("./account");
+const WithdrawalsHandler = require("./withdrawals");
+const ExploitDetector = require("./exploit-detector");
+const { tutorialRouter } = require("./tutorial");
 const ErrorHandler = require("./error").errorHandler;
+const {
+    isSecure
+} = require("../../config/config");
+
+// #region fixed a10
+// Fix for A10 - hosts the learning resources link is allowed to redirect to
+const LEARNING_RESOURCE_HOSTS = ["www.khanacademy.org"];
+
+const isAllowedRedirect = url => {
+    "use strict";
+
+    // Relative paths within the app, but not protocol relative urls like "//evil.com"
+    if (/^\/(?![\/\\])/.test(url)) {
+        return true;
+    }
+    try {
+        const { protocol, hostname } = new URL(url);
+        return protocol === "https:" && LEARNING_RESOURCE_HOSTS.includes(hostname);
+    } catch (err) {
+        return false;
+    }
+};
+// #endregion
 
 const index = (app, db) => {
 
@@ -19,6 +54,18 @@ const index = (app, db) => {
     const allocationsHandler = new AllocationsHandler(db);
     const memosHandler = new MemosHandler(db);
     const researchHandler = new ResearchHandler(db);
+    const adminHandler = new AdminHandler(db);
+    const challengesHandler = new ChallengesHandler(db);
+    const instructorHandler = new InstructorHandler(db);
+    const certificatesHandler = new CertificatesHandler(db);
+    const labHandler = new LabHandler(db);
+    const preferencesHandler = new PreferencesHandler(db);
+    const displayHandler = new DisplayHandler(db);
+    const apiHandler = new ApiHandler(db);
+    const statementsHandler = new StatementsHandler(db);
+    const accountHandler = new AccountHandler(db);
+    const withdrawalsHandler = new WithdrawalsHandler(db);
+    const exploitDetector = new ExploitDetector(db);
 
     // Middleware to check if a user is logged in
     const isLoggedIn = sessionHandler.isLoggedInMiddleware;
@@ -26,6 +73,12 @@ const index = (app, db) => {
     //Middleware to check if user has admin rights
     const isAdmin = sessionHandler.isAdminUserMiddleware;
 
+    // Middleware to check if user has instructor (or admin) rights
+    const isInstructor = sessionHandler.isInstructorUserMiddleware;
+
+    // Point the DAOs to the lab of the learner when lab isolation is on
+    app.use(sessionHandler.isolateLabMiddleware);
+
     // The main page of the app
     app.get("/", sessionHandler.displayWelcomePage);
 
@@ -43,40 +96,105 @@ const index = (app, db) => {
     // The main page of the app
     app.get("/dashboard", isLoggedIn, sessionHandler.displayWelcomePage);
 
+    // Panels of the dashboard to show, kept in a cookie
+    app.post("/dashboard/display", isLoggedIn, displayHandler.handleDisplayUpdate);
+
     // Profile page
     app.get("/profile", isLoggedIn, profileHandler.displayProfile);
     app.post("/profile", isLoggedIn, profileHandler.handleProfileUpdate);
+    app.post("/profile/documents", isLoggedIn, profileHandler.handleDocumentUpload);
+    app.get("/profile/documents", isLoggedIn, profileHandler.displayDocument);
+
+    // Preferences page, saved as JSON
+    app.get("/preferences", isLoggedIn, preferencesHandler.displayPreferences);
+    app.post("/preferences", isLoggedIn, preferencesHandler.handlePreferencesUpdate);
 
     // Contributions Page
     app.get("/contributions", isLoggedIn, contributionsHandler.displayContributions);
     app.post("/contributions", isLoggedIn, contributionsHandler.handleContributionsUpdate);
+    app.post("/contributions/import", isLoggedIn, contributionsHandler.handleContributionsImport);
+
+    // Fix for A7 - checks user role to implement  Function Level Access Control
+    const isAdminWhenSecure = (req, res, next) => isSecure("a7", req.session) ? isAdmin(req, res, next) : next();
 
     // Benefits Page
-    app.get("/benefits", isLoggedIn, benefitsHandler.displayBenefits);
-    app.post("/benefits", isLoggedIn, benefitsHandler.updateBenefits);
-    /* Fix for A7 - checks user role to implement  Function Level Access Control
-     app.get("/benefits", isLoggedIn, isAdmin, benefitsHandler.displayBenefits);
-     app.post("/benefits", isLoggedIn, isAdmin, benefitsHandler.updateBenefits);
-     */
+    app.get("/benefits", isLoggedIn, isAdminWhenSecure, benefitsHandler.displayBenefits);
+    app.post("/benefits", isLoggedIn, isAdminWhenSecure, benefitsHandler.updateBenefits);
 
     // Allocations Page
     app.get("/allocations/:userId", isLoggedIn, allocationsHandler.displayAllocations);
 
+    // Statements Page, downloads a statement of the contributions and allocations of the user
+    app.get("/statements", isLoggedIn, statementsHandler.displayStatements);
+    app.post("/statements", isLoggedIn, statementsHandler.handleStatementDownload);
+
+    // Withdrawals Page, takes money out of the retirement account of the user
+    app.get("/withdrawals", isLoggedIn, withdrawalsHandler.displayWithdrawals);
+    app.post("/withdrawals", isLoggedIn, withdrawalsHandler.handleWithdrawal);
+
     // Memos Page
     app.get("/memos", isLoggedIn, memosHandler.displayMemos);
     app.post("/memos", isLoggedIn, memosHandler.addMemos);
+    app.post("/memos/templates", isLoggedIn, memosHandler.addMemoTemplate);
+
+    // JSON API, authenticated with the bearer token returned for the credentials of a user
+    const isTokenValid = apiHandler.isTokenValidMiddleware;
+    app.post("/api/token", apiHandler.handleTokenRequest);
+    app.get("/api/contributions", isTokenValid, apiHandler.displayContributions);
+    app.get("/api/allocations", isTokenValid, apiHandler.displayAllocations);
+
+    // Account data of the logged in user as JSON, shared with other origins by the CORS policy
+    const cors = accountHandler.corsMiddleware;
+    app.options("/account/*", cors);
+    app.get("/account/profile", cors, isLoggedIn, accountHandler.displayProfile);
+    app.get("/account/contributions", cors, isLoggedIn, accountHandler.displayContributions);
+
+    // Reset my lab, restores the data of the learner (or of a single tutorial module) to the seed state
+    app.post("/lab/reset", isLoggedIn, labHandler.handleLabReset);
 
     // Handle redirect for learning resources link
     app.get("/learn", isLoggedIn, (req, res) => {
+        // #region fixed a10
+        // Fix for A10 - only redirect to the app itself or to a known learning resources host
+        if (isSecure("a10", req.session) && !isAllowedRedirect(req.query.url)) {
+            return res.redirect("/dashboard");
+        }
+        // #region vulnerable a10
         // Insecure way to handle redirects by taking redirect url from query string
+        exploitDetector.redirect(req, req.query.url);
         return res.redirect(req.query.url);
+        // #endregion
+        // #endregion
     });
 
     // Research Page
     app.get("/research", isLoggedIn, researchHandler.displayResearch);
 
+    // Challenges Page, submit the flags hidden behind each vulnerability
+    app.get("/challenges", isLoggedIn, challengesHandler.displayChallenges);
+    app.post("/challenges", isLoggedIn, challengesHandler.handleFlagSubmission);
+    app.get("/challenges/scoreboard", isLoggedIn, challengesHandler.displayScoreboard);
+
+    // Internal only endpoint, the target of the SSRF challenge
+    app.get("/internal/flag", challengesHandler.displayInternalFlag);
+
+    // Vulnerability registry, switches each vulnerability between its vulnerable and fixed code
+    app.get("/admin/vulnerabilities", isLoggedIn, isAdmin, adminHandler.displayVulnerabilities);
+    app.post("/admin/vulnerabilities", isLoggedIn, isAdmin, adminHandler.updateVulnerability);
+
+    // Instructor area, follow the learners of a class, reset their data and lock tutorial modules
+    app.get("/instructor", isLoggedIn, isInstructor, instructorHandler.displayInstructor);
+    app.post("/instructor/learners/:userId/reset", isLoggedIn, isInstructor, instructorHandler.handleLearnerReset);
+    app.post("/instructor/locks", isLoggedIn, isInstructor, instructorHandler.handleModuleLock);
+    app.post("/instructor/workshops", isLoggedIn, isInstructor, instructorHandler.handleWorkshopCreate);
+    app.post("/instructor/workshops/:code/remove", isLoggedIn, isInstructor, instructorHandler.handleWorkshopRemove);
+
+    // Certificate of completion of the tutorial, and the page verifying the signed token of a certificate
+    app.get("/certificate", isLoggedIn, certificatesHandler.displayCertificate);
+    app.get("/certificates/verify/:token", certificatesHandler.displayVerification);
+
     // Mount tutorial router
-    app.use("/tutorial", tutorialRouter);
+    app.use("/tutorial", tutorialRouter(db));
 
     // Error handling middleware
     app.use(ErrorHandler);
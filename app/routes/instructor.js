@@ -0,0 +1,294 @@
+const { UserDAO } = require("../data/user-dao");
+const { ProgressDAO } = require("../data/progress-dao");
+const { ChallengesDAO } = require("../data/challenges-dao");
+const { ModuleLocksDAO } = require("../data/module-locks-dao");
+const { QuizAttemptsDAO } = require("../data/quiz-attempts-dao");
+const { WorkshopsDAO } = require("../data/workshops-dao");
+const {
+    LabDAO,
+    LAB_DATA
+} = require("../data/lab-dao");
+const { pages } = require("./tutorial");
+const {
+    environmentalScripts,
+    labIsolation
+} = require("../../config/config");
+
+// The most recent thing the learner did in the tutorial: a visit, a hint, a quiz or a completed module
+const lastActivityOf = (progress, attempts) => {
+    "use strict";
+
+    const timestamps = [
+        progress.lastVisit,
+        ...progress.hintLog.map(reveal => reveal.timestamp),
+        ...attempts.map(attempt => attempt.timestamp),
+        ...Object.keys(progress.completed).map(page => progress.completed[page].timestamp)
+    ].filter(timestamp => timestamp).map(timestamp => new Date(timestamp));
+
+    return timestamps.length ? new Date(Math.max(...timestamps)) : null;
+};
+
+// Best score and number of attempts of the learner on each quiz taken
+const quizResultsOf = attempts => {
+    "use strict";
+
+    return pages.map(page => {
+        const pageAttempts = attempts.filter(attempt => attempt.page === page);
+        const best = pageAttempts.reduce((best, attempt) => !best || attempt.score > best.score ? attempt : best, null);
+
+        return best && {
+            page,
+            score: best.score,
+            total: best.total,
+            passed: pageAttempts.some(attempt => attempt.passed),
+            attemptCount: pageAttempts.length
+        };
+    }).filter(result => result);
+};
+
+/* The InstructorHandler must be constructed with a connected db */
+function InstructorHandler(db) {
+    "use strict";
+
+    const userDAO = new UserDAO(db);
+    const progressDAO = new ProgressDAO(db);
+    const challengesDAO = new ChallengesDAO(db);
+    const moduleLocksDAO = new ModuleLocksDAO(db);
+    const quizAttemptsDAO = new QuizAttemptsDAO(db);
+    const workshopsDAO = new WorkshopsDAO(db);
+    const labDAO = new LabDAO(db);
+
+    // Difficulty levels only live in the learner sessions, so they are read from the session store.
+    // Learners without a session are not logged in and get the default levels once they are.
+    const getLevelsByUserId = (req, callback) => {
+        if (!req.sessionStore || typeof req.sessionStore.all !== "function") return callback(null, {});
+
+        req.sessionStore.all((err, sessions) => {
+            if (err) return callback(err, null);
+
+            const levels = {};
+            Object.keys(sessions || {}).forEach(sessionId => {
+                const session = sessions[sessionId];
+                if (session.userId) {
+                    levels[session.userId] = session.levels || {};
+                }
+            });
+            return callback(null, levels);
+        });
+    };
+
+    const renderInstructor = (req, res, next, data) => {
+        userDAO.getUserById(req.session.userId, (err, user) => {
+            if (err) return next(err);
+
+            userDAO.getLearners((err, users) => {
+                if (err) return next(err);
+
+                progressDAO.getAll((err, allProgress) => {
+                    if (err) return next(err);
+
+                    getLevelsByUserId(req, (err, levelsByUserId) => {
+                        if (err) return next(err);
+
+                        quizAttemptsDAO.getAll((err, allAttempts) => {
+                            if (err) return next(err);
+
+                            workshopsDAO.getAll((err, allWorkshops) => {
+                                if (err) return next(err);
+
+                                moduleLocksDAO.getAll((err, locks) => {
+                                    if (err) return next(err);
+
+                                    const learners = users.map(learner => {
+                                        const progress = allProgress.find(doc => doc.userId === learner._id) ||
+                                            { completed: {}, hints: {}, hintLog: [], lastVisit: null };
+                                        const attempts = allAttempts.filter(attempt => attempt.userId === learner._id);
+                                        const levels = levelsByUserId[learner._id];
+
+                                        return {
+                                            userId: learner._id,
+                                            userName: learner.userName,
+                                            firstName: learner.firstName,
+                                            lastName: learner.lastName,
+                                            completed: Object.keys(progress.completed),
+                                            hints: Object.keys(progress.hints).map(page => ({
+                                                page,
+                                                count: progress.hints[page]
+                                            })),
+                                            quizzes: quizResultsOf(attempts),
+                                            lastActivity: lastActivityOf(progress, attempts),
+                                            loggedIn: levels !== undefined,
+                                            levels: Object.keys(levels || {}).map(id => ({
+                                                id,
+                                                level: levels[id]
+                                            }))
+                                        };
+                                    });
+
+                                    // Learners enrolled in each workshop, by name
+                                    const enrolled = workshop => workshop.users.map(userId => {
+                                        const learner = users.find(learner => learner._id === userId);
+                                        return learner ? learner.userName : `#${userId}`;
+                                    });
+                                    const workshops = allWorkshops.map(workshop => ({
+                                        ...workshop,
+                                        learners: enrolled(workshop)
+                                    }));
+
+                                    const now = new Date();
+                                    const modules = pages.map(page => {
+                                        const lock = locks.find(lock => lock._id === page);
+                                        return {
+                                            page,
+                                            lockedUntil: lock && lock.until > now ? lock.until : null
+                                        };
+                                    });
+
+                                    return res.render("instructor", {
+                                        learners,
+                                        modules,
+                                        userId: req.session.userId,
+                                        user: {
+                                            isAdmin: !!(user && user.isAdmin),
+                                            isInstructor: true
+                                        },
+                                        workshops,
+                                        environmentalScripts,
+                                        ...data
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    };
+
+    this.displayInstructor = (req, res, next) => renderInstructor(req, res, next, {});
+
+    // Without lab isolation the documents of the learners are in the shared collections
+    const labNamespaceOf = (userId, callback) => labIsolation ?
+        labDAO.namespaceOf(userId, callback) : callback(null, null);
+
+    // Takes the learner back to a fresh start: tutorial progress, hints, quiz attempts, challenge solves and
+    // the documents of the learner, in the lab of the learner when lab isolation is on (see LabDAO.reset)
+    this.handleLearnerReset = (req, res, next) => {
+        const {
+            userId
+        } = req.params;
+
+        progressDAO.reset(userId, err => {
+            if (err) return next(err);
+
+            quizAttemptsDAO.reset(userId, err => {
+                if (err) return next(err);
+
+                challengesDAO.resetSolves(userId, err => {
+                    if (err) return next(err);
+
+                    labNamespaceOf(userId, (err, namespace) => {
+                        if (err) return next(err);
+
+                        labDAO.reset(userId, namespace, LAB_DATA, err => {
+                            if (err) return next(err);
+                            return res.redirect("/instructor");
+                        });
+                    });
+                });
+            });
+        });
+    };
+
+    // Locks a module until the given time, an empty time unlocks it
+    this.handleModuleLock = (req, res, next) => {
+        const {
+            page,
+            until
+        } = req.body;
+
+        if (!pages.includes(page)) {
+            return renderInstructor(req, res, next, {
+                updateError: `Unknown tutorial module: ${page}`
+            });
+        }
+
+        if (!until) {
+            return moduleLocksDAO.unlock(page, err => {
+                if (err) return next(err);
+                return res.redirect("/instructor");
+            });
+        }
+
+        const lockedUntil = new Date(until);
+        if (isNaN(lockedUntil.getTime())) {
+            return renderInstructor(req, res, next, {
+                updateError: "Invalid date, pick the time the module opens"
+            });
+        }
+
+        return moduleLocksDAO.lock(page, lockedUntil, err => {
+            if (err) return next(err);
+            return res.redirect("/instructor");
+        });
+    };
+
+    // Opens a workshop for a class: learners join it with its code when they sign up, and what they do in the
+    // tutorial only counts between its start and its end, on the modules picked for it
+    this.handleWorkshopCreate = (req, res, next) => {
+        const {
+            name,
+            startsAt,
+            endsAt
+        } = req.body;
+        // JSON bodies can hold anything, only a string makes a name
+        const workshopName = typeof name === "string" ? name.trim() : "";
+        // A single checked box comes as a string, several as an array
+        const modules = [].concat(req.body.modules || []);
+        const start = new Date(startsAt);
+        const end = new Date(endsAt);
+
+        if (!workshopName) {
+            return renderInstructor(req, res, next, {
+                updateError: "Give the workshop a name"
+            });
+        }
+
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+            return renderInstructor(req, res, next, {
+                updateError: "Invalid dates, the workshop has to end after it starts"
+            });
+        }
+
+        if (!modules.length) {
+            return renderInstructor(req, res, next, {
+                updateError: "Pick at least one module for the workshop"
+            });
+        }
+
+        const unknown = modules.find(page => !pages.includes(page));
+        if (unknown) {
+            return renderInstructor(req, res, next, {
+                updateError: `Unknown tutorial module: ${unknown}`
+            });
+        }
+
+        return workshopsDAO.create(workshopName, start, end, modules, req.session.userId, err => {
+            if (err) return next(err);
+            return res.redirect("/instructor");
+        });
+    };
+
+    this.handleWorkshopRemove = (req, res, next) => {
+        const {
+            code
+        } = req.params;
+
+        workshopsDAO.remove(code, err => {
+            if (err) return next(err);
+            return res.redirect("/instructor");
+        });
+    };
+}
+
+module.exports = InstructorHandler;
@@ -0,0 +1,35 @@
+const {
+    LabDAO,
+    LAB_DATA,
+    MODULE_DATA
+} = require("../data/lab-dao");
+
+/* The LabHandler must be constructed with a connected db */
+function LabHandler(db) {
+    "use strict";
+
+    const labDAO = new LabDAO(db);
+
+    // Restores the documents of the learner to the seed state, or only those a tutorial module works with.
+    // Nobody else's data is touched, unlike artifacts/db-reset.js.
+    this.handleLabReset = (req, res, next) => {
+        const {
+            userId,
+            namespace
+        } = req.session;
+        const {
+            module
+        } = req.body;
+
+        if (module && !MODULE_DATA.hasOwnProperty(module)) {
+            return next(new Error(`Unknown tutorial module: ${module}`));
+        }
+
+        labDAO.reset(userId, namespace, module ? MODULE_DATA[module] : LAB_DATA, err => {
+            if (err) return next(err);
+            return res.redirect(module ? `/tutorial/${module}` : "/dashboard");
+        });
+    };
+}
+
+module.exports = LabHandler;
@@ -1,17 +1,101 @@
+const swig = require("swig");
 const MemosDAO = require("../data/memos-dao").MemosDAO;
+const { MemoTemplatesDAO } = require("../data/memo-templates-dao");
+const { UserDAO } = require("../data/user-dao");
+const ExploitDetector = require("./exploit-detector");
 const {
-    environmentalScripts
+    environmentalScripts,
+    isSecure
 } = require("../../config/config");
 
+// #region vulnerable ssti
+// Memo templates are compiled by the template engine of the views, without caching as they change all the time
+const templateEngine = new swig.Swig({
+    autoescape: false,
+    cache: false
+});
+// #endregion
+
+// #region fixed ssti
+// Fix for SSTI - templates are never compiled, {{ name }} placeholders are replaced by the value of a known field
+// and anything else is left as it is. The template can't run expressions, tags or filters, or reach any object.
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+const fillPlaceholders = (body, fields) => {
+    "use strict";
+
+    return body.replace(PLACEHOLDER_RE, (placeholder, name) => {
+        return Object.prototype.hasOwnProperty.call(fields, name) ? String(fields[name]) : placeholder;
+    });
+};
+// #endregion
+
 function MemosHandler(db) {
     "use strict";
 
-    const memosDAO = new MemosDAO(db);
+    // Memos are per lab when lab isolation is on, so the DAO follows the session of each request
+    const memosDAO = req => new MemosDAO(db, req.session);
+    const memoTemplatesDAO = new MemoTemplatesDAO(db);
+    const exploitDetector = new ExploitDetector(db);
+
+    // The fields of the user a memo template can refer to
+    const templateFieldsOf = user => ({
+        firstName: user.firstName,
+        lastName: user.lastName,
+        userName: user.userName,
+        date: new Date().toDateString()
+    });
+
+    const renderTemplate = (req, template, user) => {
+        const fields = templateFieldsOf(user);
+
+        if (isSecure("ssti", req.session)) {
+            return fillPlaceholders(template.body, fields);
+        }
+
+        // #region vulnerable ssti
+        exploitDetector.template(req, template.body);
+        return templateEngine.render(template.body, {
+            locals: fields
+        });
+        // #endregion
+    };
+
+    // The memo to start from, the given template rendered for the user when there is one
+    const draftOf = (req, callback) => {
+        const {
+            userId
+        } = req.session;
+
+        if (!req.query.template) return callback(null, {});
+
+        memoTemplatesDAO.getById(userId, req.query.template, (err, template) => {
+            if (err) return callback(err, null);
+            if (!template) return callback(null, {
+                templateError: "Memo template not found"
+            });
+
+            new UserDAO(db, req.session).getUserById(userId, (err, user) => {
+                if (err) return callback(err, null);
+
+                try {
+                    return callback(null, {
+                        draft: renderTemplate(req, template, user)
+                    });
+                } catch (err) {
+                    return callback(null, {
+                        templateError: `Unable to render the memo template: ${err.message}`
+                    });
+                }
+            });
+        });
+    };
 
     this.addMemos = (req, res, next) => {
 
-        memosDAO.insert(req.body.memo, (err, docs) => {
+        memosDAO(req).insert(req.body.memo, req.session.userId, (err, docs) => {
             if (err) return next(err);
+            exploitDetector.memo(req, req.body.memo);
             this.displayMemos(req, res, next);
         });
     };
@@ -22,16 +106,44 @@ function MemosHandler(db) {
             userId
         } = req.session;
 
-        memosDAO.getAllMemos((err, docs) => {
+        memosDAO(req).getAllMemos((err, docs) => {
             if (err) return next(err);
-            return res.render("memos", {
-                memosList: docs,
-                userId: userId,
-                environmentalScripts
+
+            memoTemplatesDAO.getByUserId(userId, (err, templates) => {
+                if (err) return next(err);
+
+                draftOf(req, (err, draft) => {
+                    if (err) return next(err);
+
+                    return res.render("memos", {
+                        memosList: docs,
+                        templates,
+                        userId: userId,
+                        environmentalScripts,
+                        ...draft
+                    });
+                });
             });
         });
     };
 
+    // Saves a reusable memo, which can refer to the fields of the user who uses it like {{ firstName }}
+    this.addMemoTemplate = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+        const {
+            name,
+            body
+        } = req.body;
+
+        if (!name || !body) return res.redirect("/memos");
+
+        memoTemplatesDAO.insert(userId, name, body, err => {
+            if (err) return next(err);
+            return res.redirect("/memos");
+        });
+    };
 }
 
 module.exports = MemosHandler;
@@ -0,0 +1,137 @@
+const { UserDAO, PREFERENCE_FIELDS } = require("../data/user-dao");
+const ExploitDetector = require("./exploit-detector");
+const {
+    environmentalScripts,
+    isSecure
+} = require("../../config/config");
+
+const THEMES = ["default", "dark", "high-contrast"];
+const CURRENCIES = ["USD", "EUR", "GBP"];
+const STATEMENTS = ["monthly", "quarterly", "yearly"];
+
+const isObject = value => {
+    "use strict";
+
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+};
+
+// #region vulnerable prototype-pollution
+// Deep merges source into target, so a partial update of a nested object keeps the rest of it
+const merge = (target, source) => {
+    "use strict";
+
+    for (const key in source) {
+        if (isObject(source[key]) && isObject(target[key])) {
+            merge(target[key], source[key]);
+        } else {
+            target[key] = source[key];
+        }
+    }
+    return target;
+};
+// #endregion
+
+// #region fixed prototype-pollution
+// Fix for Prototype Pollution - only merge the own properties of the source, and never the keys that lead
+// to the prototype of the target: "__proto__" is the prototype itself and "constructor.prototype" the one
+// of every object built by the same constructor
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
+const mergeSafely = (target, source) => {
+    "use strict";
+
+    for (const key of Object.keys(source)) {
+        if (UNSAFE_KEYS.includes(key)) continue;
+
+        if (isObject(source[key]) && isObject(target[key]) && Object.prototype.hasOwnProperty.call(target, key)) {
+            mergeSafely(target[key], source[key]);
+        } else {
+            target[key] = source[key];
+        }
+    }
+    return target;
+};
+// #endregion
+
+// The preferences of the user, stored ones or defaults
+const preferencesOf = user => {
+    "use strict";
+
+    return PREFERENCE_FIELDS.filter(field => user[field] !== undefined).reduce((preferences, field) => ({
+        ...preferences,
+        [field]: user[field]
+    }), {});
+};
+
+/* The PreferencesHandler must be constructed with a connected db */
+function PreferencesHandler(db) {
+    "use strict";
+
+    // Learners keep their preferences in their own lab when lab isolation is on
+    const users = req => new UserDAO(db, req.session);
+    const exploitDetector = new ExploitDetector(db);
+
+    this.displayPreferences = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+
+        users(req).getUserById(userId, (err, user) => {
+            if (err) return next(err);
+
+            return res.render("preferences", {
+                ...preferencesOf(user),
+                themes: THEMES,
+                currencies: CURRENCIES,
+                statementPeriods: STATEMENTS,
+                userId,
+                environmentalScripts
+            });
+        });
+    };
+
+    // Takes a JSON body with the preferences to change, nested objects can be partial
+    this.handlePreferencesUpdate = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+
+        if (!isObject(req.body)) {
+            return res.status(400).json({
+                error: "Send the preferences as a JSON object"
+            });
+        }
+
+        users(req).getUserById(userId, (err, user) => {
+            if (err) return next(err);
+
+            if (isSecure("prototype-pollution", req.session)) {
+                mergeSafely(user, req.body);
+            } else {
+                const stateBefore = exploitDetector.sharedUserState();
+                merge(user, req.body);
+                exploitDetector.preferences(req, stateBefore);
+            }
+
+            // Only the preference fields are saved, whatever else the body holds
+            const preferences = preferencesOf(user);
+            const invalid = !THEMES.includes(preferences.theme) || !CURRENCIES.includes(preferences.currency) ||
+                !STATEMENTS.includes(preferences.statements);
+
+            if (invalid) {
+                return res.status(400).json({
+                    error: "Unknown theme, currency or statement period"
+                });
+            }
+
+            return users(req).updatePreferences(userId, preferences, err => {
+                if (err) return next(err);
+                return res.json({
+                    preferences
+                });
+            });
+        });
+    };
+}
+
+module.exports = PreferencesHandler;
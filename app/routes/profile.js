@@ -1,23 +1,50 @@
+const crypto = require("crypto");
+const path = require("path");
+const multer = require("multer");
 const ProfileDAO = require("../data/profile-dao").ProfileDAO;
+const { DocumentsDAO, UPLOADS_DIR } = require("../data/documents-dao");
+const ExploitDetector = require("./exploit-detector");
 const ESAPI = require("node-esapi");
 const {
-    environmentalScripts
+    environmentalScripts,
+    isSecure
 } = require("../../config/config");
 
+const MAX_DOCUMENT_SIZE = 1024 * 1024;
+
+// Documents kept in memory until they are checked, the full path of the file name sent by the browser is kept
+const upload = multer({
+    storage: multer.memoryStorage(),
+    preservePath: true,
+    limits: {
+        fileSize: MAX_DOCUMENT_SIZE
+    }
+}).single("document");
+
+// #region fixed file-upload
+// Fix for File Upload - the types of documents accepted, recognised by the first bytes of their content
+const DOCUMENT_TYPES = [
+    { contentType: "image/png", extension: "png", signature: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+    { contentType: "image/jpeg", extension: "jpg", signature: Buffer.from([0xff, 0xd8, 0xff]) },
+    { contentType: "application/pdf", extension: "pdf", signature: Buffer.from("%PDF-") }
+];
+// #endregion
+
 /* The ProfileHandler must be constructed with a connected db */
 function ProfileHandler(db) {
     "use strict";
 
-    const profile = new ProfileDAO(db);
+    // Learners edit the copy of their profile in their own lab when lab isolation is on
+    const profile = req => new ProfileDAO(db, req.session);
+    const documentsDAO = new DocumentsDAO(db);
+    const exploitDetector = new ExploitDetector(db);
 
-    this.displayProfile = (req, res, next) => {
+    const renderProfile = (req, res, next, data) => {
         const {
             userId
         } = req.session;
 
-
-
-        profile.getByUserId(parseInt(userId), (err, doc) => {
+        profile(req).getByUserId(parseInt(userId), (err, doc) => {
             if (err) return next(err);
             doc.userId = userId;
 
@@ -30,13 +57,111 @@ function ProfileHandler(db) {
             // the context of a URL in a link header
             // doc.website = ESAPI.encoder().encodeForURL(doc.website)
 
-            return res.render("profile", {
-                ...doc,
-                environmentalScripts
+            documentsDAO.getByUserId(userId, (err, documents) => {
+                if (err) return next(err);
+
+                return res.render("profile", {
+                    ...doc,
+                    documents,
+                    environmentalScripts,
+                    ...data
+                });
+            });
+        });
+    };
+
+    this.displayProfile = (req, res, next) => renderProfile(req, res, next, {});
+
+    // Avatar or document uploaded from the profile page, as the "document" field of a multipart form
+    this.handleDocumentUpload = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+
+        upload(req, res, err => {
+            if (err) {
+                return renderProfile(req, res, next, {
+                    uploadError: err.code === "LIMIT_FILE_SIZE" ? "Documents can't be larger than 1MB" : err.message
+                });
+            }
+
+            const {
+                file
+            } = req;
+
+            if (!file) {
+                return renderProfile(req, res, next, {
+                    uploadError: "Pick a file to upload"
+                });
+            }
+
+            // #region vulnerable file-upload
+            // The name and the type are the ones sent by the browser
+            let storedPath = file.originalname;
+            let contentType = file.mimetype;
+            // #endregion
+
+            if (isSecure("file-upload", req.session)) {
+                // #region fixed file-upload
+                // Fix for File Upload - the type comes from the content, the name is generated and the file kept
+                // in a folder of its own for each user
+                const startsWith = signature => file.buffer.slice(0, signature.length).equals(signature);
+                const type = DOCUMENT_TYPES.find(type => startsWith(type.signature));
+
+                if (!type) {
+                    return renderProfile(req, res, next, {
+                        uploadError: "Only PNG, JPEG and PDF documents can be uploaded"
+                    });
+                }
+                const name = `${crypto.randomBytes(16).toString("hex")}.${type.extension}`;
+                storedPath = path.join(String(parseInt(userId)), name);
+                contentType = type.contentType;
+                // #endregion
+            } else {
+                exploitDetector.filePath(req, UPLOADS_DIR, storedPath);
+            }
+
+            return documentsDAO.store(userId, storedPath, file.originalname, contentType, file.buffer, err => {
+                if (err) return next(err);
+                return res.redirect("/profile");
             });
         });
     };
 
+    // Sends back an uploaded document, by the path it was stored at
+    this.displayDocument = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+        const storedPath = String(req.query.path || "");
+
+        if (!isSecure("file-upload", req.session)) {
+            // #region vulnerable file-upload
+            const file = path.join(UPLOADS_DIR, storedPath);
+            exploitDetector.filePath(req, UPLOADS_DIR, storedPath);
+            return res.sendFile(file, err => err && next(err));
+            // #endregion
+        }
+
+        // #region fixed file-upload
+        // Fix for Path Traversal - only the documents of the user, from within the uploads folder. They are
+        // downloaded rather than displayed, with the type that was checked on upload.
+        return documentsDAO.getByPath(userId, storedPath, (err, doc) => {
+            if (err) return next(err);
+            if (!doc) return res.status(404).send("Document not found");
+
+            res.attachment(doc.name);
+            res.type(doc.contentType);
+            return res.sendFile(doc.path, {
+                root: UPLOADS_DIR,
+                headers: {
+                    "X-Content-Type-Options": "nosniff"
+                }
+            }, err => err && next(err));
+        });
+        // #endregion
+    };
+
     this.handleProfileUpdate = (req, res, next) => {
 
         const {
@@ -56,7 +181,14 @@ function ProfileHandler(db) {
         // --
         // The Fix: Instead of using greedy quantifiers the same regex will work if we omit the second quantifier +
         // const regexPattern = /([0-9]+)\#/;
-        const regexPattern = /([0-9]+)+\#/;
+        // #region vulnerable redos
+        let regexPattern = /([0-9]+)+\#/;
+        // #endregion
+        if (isSecure("redos", req.session)) {
+            // #region fixed redos
+            regexPattern = /([0-9]+)\#/;
+            // #endregion
+        }
         // Allow only numbers with a suffix of the letter #, for example: 'XXXXXX#'
         const testComplyWithRequirements = regexPattern.test(bankRouting);
         // if the regex test fails we do not allow saving
@@ -79,7 +211,7 @@ function ProfileHandler(db) {
             userId
         } = req.session;
 
-        profile.updateUser(
+        profile(req).updateUser(
             parseInt(userId),
             firstName,
             lastName,
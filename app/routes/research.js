@@ -1,9 +1,34 @@
 const ResearchDAO = require("../data/research-dao").ResearchDAO;
 const needle = require("needle");
 const {
-    environmentalScripts
+    environmentalScripts,
+    getLevel
 } = require("../../config/config");
 
+// Fix for SSRF - the only service the research page is allowed to fetch from
+const RESEARCH_URL = "https://finance.yahoo.com/quote/";
+const RESEARCH_HOSTS = ["finance.yahoo.com"];
+const SYMBOL_RE = /^[A-Z0-9]{1,10}$/i;
+
+// Partial defences against SSRF for the "medium" and "high" levels. A prefix check is bypassed with urls
+// like https://finance.yahoo.com.attacker.com or https://finance.yahoo.com@attacker.com, while the allowlist
+// of hosts holds but still lets the user request any path on the allowed hosts.
+const isAllowedResearchUrl = (url, level) => {
+    "use strict";
+
+    if (level === "medium") {
+        return url.startsWith("https://finance.yahoo.com");
+    }
+    if (level === "high") {
+        try {
+            return RESEARCH_HOSTS.includes(new URL(url).hostname);
+        } catch (err) {
+            return false;
+        }
+    }
+    return true;
+};
+
 function ResearchHandler(db) {
     "use strict";
 
@@ -12,7 +37,31 @@ function ResearchHandler(db) {
     this.displayResearch = (req, res) => {
 
         if (req.query.symbol) {
-            const url = req.query.url + req.query.symbol;
+            const level = getLevel("ssrf", req.session);
+            // #region vulnerable ssrf
+            let url = req.query.url + req.query.symbol;
+            // #endregion
+
+            if (!isAllowedResearchUrl(url, level)) {
+                return res.render("research", {
+                    researchError: "Invalid research url",
+                    environmentalScripts
+                });
+            }
+
+            if (level === "impossible") {
+                // #region fixed ssrf
+                // Fix for SSRF - ignore the user supplied url and validate the symbol against a strict pattern
+                if (!SYMBOL_RE.test(req.query.symbol)) {
+                    return res.render("research", {
+                        researchError: "Invalid stock symbol",
+                        environmentalScripts
+                    });
+                }
+                url = RESEARCH_URL + req.query.symbol;
+                // #endregion
+            }
+
             return needle.get(url, (error, newResponse, body) => {
                 if (!error && newResponse.statusCode === 200) {
                     res.writeHead(200, {
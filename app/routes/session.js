@@ -1,7 +1,14 @@
 const UserDAO = require("../data/user-dao").UserDAO;
 const AllocationsDAO = require("../data/allocations-dao").AllocationsDAO;
+const { ProgressDAO } = require("../data/progress-dao");
+const { LabDAO } = require("../data/lab-dao");
+const { WorkshopsDAO } = require("../data/workshops-dao");
+const ExploitDetector = require("./exploit-detector");
+const DisplayHandler = require("./display");
 const {
-    environmentalScripts
+    environmentalScripts,
+    isSecure,
+    labIsolation
 } = require("../../config/config");
 
 /* The SessionHandler must be constructed with a connected db */
@@ -9,7 +16,12 @@ function SessionHandler(db) {
     "use strict";
 
     const userDAO = new UserDAO(db);
+    const progressDAO = new ProgressDAO(db);
+    const labDAO = new LabDAO(db);
+    const workshopsDAO = new WorkshopsDAO(db);
     const allocationsDAO = new AllocationsDAO(db);
+    const exploitDetector = new ExploitDetector(db);
+    const displayHandler = new DisplayHandler(db);
 
     const prepareUserData = (user, next) => {
         // Generate random allocations
@@ -22,6 +34,7 @@ function SessionHandler(db) {
         });
     };
 
+    // #region fixed a7
     this.isAdminUserMiddleware = (req, res, next) => {
         if (req.session.userId) {
             return userDAO.getUserById(req.session.userId, (err, user) => {
@@ -32,6 +45,19 @@ function SessionHandler(db) {
         return res.redirect("/login");
 
     };
+    // #endregion
+
+    // Admins can do anything an instructor does
+    this.isInstructorUserMiddleware = (req, res, next) => {
+        if (req.session.userId) {
+            return userDAO.getUserById(req.session.userId, (err, user) => {
+                if (err) return next(err);
+                return user && (user.isInstructor || user.isAdmin) ? next() : res.redirect("/login");
+            });
+        }
+        console.log("redirecting to login");
+        return res.redirect("/login");
+    };
 
     this.isLoggedInMiddleware = (req, res, next) => {
         if (req.session.userId) {
@@ -41,7 +67,43 @@ function SessionHandler(db) {
         return res.redirect("/login");
     };
 
+    // Learners get their own copy of the app data when lab isolation is on, see app/data/namespace.js.
+    // The lab is seeded on the first request of the session, admins and instructors keep the shared data. The
+    // namespace is kept along with the user it belongs to: a session can outlive a login while session fixation
+    // (A2) is vulnerable, and the next user to log in on it gets a lab of their own.
+    this.isolateLabMiddleware = (req, res, next) => {
+        const {
+            userId,
+            namespace,
+            namespaceUserId
+        } = req.session;
+
+        if (!labIsolation || !userId || (namespace !== undefined && namespaceUserId === userId)) {
+            return next();
+        }
+
+        userDAO.getUserById(userId, (err, user) => {
+            if (err) return next(err);
+
+            const useNamespace = namespace => {
+                req.session.namespace = namespace;
+                req.session.namespaceUserId = userId;
+                return next();
+            };
+
+            if (!user || user.isAdmin || user.isInstructor) {
+                return useNamespace(null);
+            }
+
+            labDAO.seed(user, (err, namespace) => {
+                if (err) return next(err);
+                return useNamespace(namespace);
+            });
+        });
+    };
+
     this.displayLoginPage = (req, res, next) => {
+        exploitDetector.rememberSessionClient(req);
         return res.render("login", {
             userName: "",
             password: "",
@@ -55,14 +117,13 @@ function SessionHandler(db) {
             userName,
             password
         } = req.body;
+        const previousSessionId = req.sessionID;
         userDAO.validateLogin(userName, password, (err, user) => {
             const errorMessage = "Invalid username and/or password";
             const invalidUserNameErrorMessage = "Invalid username";
             const invalidPasswordErrorMessage = "Invalid password";
             if (err) {
                 if (err.noSuchUser) {
-                    console.log("Error: attempt to login with invalid user: ", userName);
-
                     // Fix for A1 - 3 Log Injection - encode/sanitize input for CRLF Injection
                     // that could result in log forging:
                     // - Step 1: Require a module that supports encoding
@@ -78,22 +139,30 @@ function SessionHandler(db) {
                     // or if you know that this is a CRLF vulnerability you can target this specifically as follows:
                     // console.log('Error: attempt to login with invalid user: %s',
                     //     userName.replace(/(\r\n|\r|\n)/g, '_'));
+                    if (isSecure("a1-3", req.session)) {
+                        // #region fixed a1-3
+                        console.log("Error: attempt to login with invalid user: %s",
+                            String(userName).replace(/(\r\n|\r|\n)/g, "_"));
+                        // #endregion
+                    } else {
+                        // #region vulnerable a1-3
+                        console.log("Error: attempt to login with invalid user: ", userName);
+                        // #endregion
+                    }
 
                     return res.render("login", {
                         userName: userName,
                         password: "",
-                        loginError: invalidUserNameErrorMessage,
                         //Fix for A2-2 Broken Auth - Uses identical error for both username, password error
-                        // loginError: errorMessage
+                        loginError: isSecure("a2-2", req.session) ? errorMessage : invalidUserNameErrorMessage,
                         environmentalScripts
                     });
                 } else if (err.invalidPassword) {
                     return res.render("login", {
                         userName: userName,
                         password: "",
-                        loginError: invalidPasswordErrorMessage,
                         //Fix for A2-2 Broken Auth - Uses identical error for both username, password error
-                        // loginError: errorMessage
+                        loginError: isSecure("a2-2", req.session) ? errorMessage : invalidPasswordErrorMessage,
                         environmentalScripts
                     });
                 } else {
@@ -113,8 +182,24 @@ function SessionHandler(db) {
             // by wrapping the below code as a function callback for the method req.session.regenerate()
             // i.e:
             // `req.session.regenerate(() => {})`
-            req.session.userId = user._id;
-            return res.redirect(user.isAdmin ? "/benefits" : "/dashboard");
+            const startSession = (err) => {
+                if (err) return next(err);
+                req.session.userId = user._id;
+                exploitDetector.login(req, previousSessionId);
+                if (user.isInstructor) {
+                    return res.redirect("/instructor");
+                }
+                return res.redirect(user.isAdmin ? "/benefits" : "/dashboard");
+            };
+
+            if (isSecure("a2-3", req.session)) {
+                // #region fixed a2-3
+                return req.session.regenerate(startSession);
+                // #endregion
+            }
+            // #region vulnerable a2-3
+            return startSession();
+            // #endregion
         });
     };
 
@@ -135,18 +220,15 @@ function SessionHandler(db) {
         });
     };
 
-    const validateSignup = (userName, firstName, lastName, password, verify, email, errors) => {
+    const validateSignup = (userName, firstName, lastName, password, verify, email, errors, session) => {
 
         const USER_RE = /^.{1,20}$/;
         const FNAME_RE = /^.{1,100}$/;
         const LNAME_RE = /^.{1,100}$/;
         const EMAIL_RE = /^[\S]+@[\S]+\.[\S]+$/;
-        const PASS_RE = /^.{1,20}$/;
-        /*
         //Fix for A2-2 - Broken Authentication -  requires stronger password
         //(at least 8 characters with numbers and both lowercase and uppercase letters.)
-        const PASS_RE =/^(?=.*\d)(?=.*[a-z])(?=.*[A-Z]).{8,}$/;
-        */
+        const PASS_RE = isSecure("a2-2", session) ? /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z]).{8,}$/ : /^.{1,20}$/;
 
         errors.userNameError = "";
         errors.firstNameError = "";
@@ -155,6 +237,7 @@ function SessionHandler(db) {
         errors.passwordError = "";
         errors.verifyError = "";
         errors.emailError = "";
+        errors.workshopCodeError = "";
 
         if (!USER_RE.test(userName)) {
             errors.userNameError = "Invalid user name.";
@@ -186,6 +269,9 @@ function SessionHandler(db) {
         return true;
     };
 
+    // Learners joining a workshop sign up with its code, an empty code joins none
+    const findWorkshop = (code, callback) => code ? workshopsDAO.getByCode(code, callback) : callback(null, null);
+
     this.handleSignup = (req, res, next) => {
 
         const {
@@ -194,16 +280,18 @@ function SessionHandler(db) {
             firstName,
             lastName,
             password,
-            verify
+            verify,
+            workshopCode
         } = req.body;
 
         // set these up in case we have an error case
         const errors = {
             "userName": userName,
-            "email": email
+            "email": email,
+            "workshopCode": workshopCode
         };
 
-        if (validateSignup(userName, firstName, lastName, password, verify, email, errors)) {
+        if (validateSignup(userName, firstName, lastName, password, verify, email, errors, req.session)) {
 
             userDAO.getUserByUserName(userName, (err, user) => {
 
@@ -217,31 +305,56 @@ function SessionHandler(db) {
                     });
                 }
 
-                userDAO.addUser(userName, firstName, lastName, password, email, (err, user) => {
+                findWorkshop(workshopCode, (err, workshop) => {
 
                     if (err) return next(err);
 
-                    //prepare data for the user
-                    prepareUserData(user, next);
-                    /*
-                    sessionDAO.startSession(user._id, (err, sessionId) => {
-                        if (err) return next(err);
-                        res.cookie("session", sessionId);
-                        req.session.userId = user._id;
-                        return res.render("dashboard", { ...user, environmentalScripts });
-                    });
-                    */
-                    req.session.regenerate(() => {
-                        req.session.userId = user._id;
-                        // Set userId property. Required for left nav menu links
-                        user.userId = user._id;
-
-                        return res.render("dashboard", {
-                            ...user,
+                    if (workshopCode && !workshop) {
+                        errors.workshopCodeError = "Unknown workshop code. Check it with your instructor";
+                        return res.render("signup", {
+                            ...errors,
                             environmentalScripts
                         });
-                    });
+                    }
+
+                    userDAO.addUser(userName, firstName, lastName, password, email, (err, user) => {
+
+                        if (err) return next(err);
 
+                        //prepare data for the user
+                        prepareUserData(user, next);
+                        /*
+                        sessionDAO.startSession(user._id, (err, sessionId) => {
+                            if (err) return next(err);
+                            res.cookie("session", sessionId);
+                            req.session.userId = user._id;
+                            return res.render("dashboard", { ...user, environmentalScripts });
+                        });
+                        */
+                        const enroll = callback => workshop ? workshopsDAO.enroll(workshop._id, user._id, callback) :
+                            callback(null);
+
+                        enroll(err => {
+                            if (err) return next(err);
+
+                            workshopsDAO.getByUserId(user._id, (err, workshop) => {
+                                if (err) return next(err);
+
+                                req.session.regenerate(() => {
+                                    req.session.userId = user._id;
+                                    // Set userId property. Required for left nav menu links
+                                    user.userId = user._id;
+
+                                    return res.render("dashboard", {
+                                        ...user,
+                                        workshop,
+                                        display: displayHandler.readDisplay(req),
+                                        environmentalScripts
+                                    });
+                                });
+                            });
+                        });
+                    });
                 });
             });
         } else {
@@ -263,12 +376,25 @@ function SessionHandler(db) {
 
         userId = req.session.userId;
 
-        userDAO.getUserById(userId, (err, doc) => {
+        new UserDAO(db, req.session).getUserById(userId, (err, doc) => {
             if (err) return next(err);
             doc.userId = userId;
-            return res.render("dashboard", {
-                ...doc,
-                environmentalScripts
+
+            // The tutorial page the learner was last on, for the "continue where I left off" link
+            progressDAO.getByUserId(userId, (err, progress) => {
+                if (err) return next(err);
+
+                // Learners in a workshop get a countdown to its start or its end
+                workshopsDAO.getByUserId(userId, (err, workshop) => {
+                    if (err) return next(err);
+                    return res.render("dashboard", {
+                        ...doc,
+                        lastTutorialPage: progress.lastPage,
+                        workshop,
+                        display: displayHandler.readDisplay(req),
+                        environmentalScripts
+                    });
+                });
             });
         });
     };
@@ -0,0 +1,176 @@
+const { exec, execFile } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ContributionsDAO } = require("../data/contributions-dao");
+const { AllocationsDAO } = require("../data/allocations-dao");
+const ExploitDetector = require("./exploit-detector");
+const {
+    environmentalScripts,
+    isSecure
+} = require("../../config/config");
+
+// #region fixed command-injection
+// Fix for OS Command Injection - file names are plain words, and dates real dates
+const FILE_NAME_RE = /^[\w-]{1,64}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDate = value => {
+    "use strict";
+
+    return DATE_RE.test(value) && !isNaN(new Date(value).getTime());
+};
+// #endregion
+
+// Removes the folder of a statement along with the files in it, fs.rm and the recursive option of fs.rmdir
+// are too recent for the versions of Node the app runs on
+const removeStatementDir = dir => {
+    "use strict";
+
+    fs.readdir(dir, (err, files) => {
+        if (err) return;
+
+        const removeDir = () => fs.rmdir(dir, () => {});
+        let pending = files.length;
+        if (!pending) return removeDir();
+
+        files.forEach(file => fs.unlink(path.join(dir, file), () => {
+            pending -= 1;
+            if (!pending) removeDir();
+        }));
+    });
+};
+
+// The statement itself, a plain text summary of the contributions and allocations of the user
+const formatStatement = (contributions, allocations, from, to) => {
+    "use strict";
+
+    const lines = [
+        `Retirement statement of ${contributions.firstName} ${contributions.lastName}`,
+        `Period: ${from} to ${to}`,
+        "",
+        "Payroll contributions (per pay period)",
+        `  Employee Pre-Tax:   ${contributions.preTax} %`,
+        `  Roth Contribution:  ${contributions.roth} %`,
+        `  Employee After Tax: ${contributions.afterTax} %`,
+        "",
+        "Asset allocations"
+    ];
+    for (const allocation of allocations) {
+        lines.push(`  Stocks: ${allocation.stocks} %`, `  Funds:  ${allocation.funds} %`,
+            `  Bonds:  ${allocation.bonds} %`);
+    }
+    return `${lines.join("\n")}\n`;
+};
+
+/* The StatementsHandler must be constructed with a connected db */
+function StatementsHandler(db) {
+    "use strict";
+
+    // Statements are made of the data of the lab of the learner when lab isolation is on
+    const contributionsDAO = req => new ContributionsDAO(db, req.session);
+    const allocationsDAO = req => new AllocationsDAO(db, req.session);
+    const exploitDetector = new ExploitDetector(db);
+
+    const renderStatements = (res, data) => {
+        const today = new Date().toISOString().slice(0, 10);
+
+        return res.render("statements", {
+            fileName: "statement",
+            from: `${today.slice(0, 4)}-01-01`,
+            to: today,
+            environmentalScripts,
+            ...data
+        });
+    };
+
+    this.displayStatements = (req, res) => {
+        const {
+            userId
+        } = req.session;
+
+        return renderStatements(res, {
+            userId
+        });
+    };
+
+    // Writes the statement in a folder of its own, in a file named after its period, and sends it as a .tar.gz
+    // archive named by the user
+    this.handleStatementDownload = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+        const {
+            fileName,
+            from,
+            to
+        } = req.body;
+        const renderError = downloadError => renderStatements(res, {
+            downloadError,
+            fileName,
+            from,
+            to,
+            userId
+        });
+
+        if (!fileName) return renderError("Name the file of the statement");
+
+        if (isSecure("command-injection", req.session)) {
+            // #region fixed command-injection
+            if (!FILE_NAME_RE.test(fileName)) {
+                return renderError("The file name can only hold letters, digits, dashes and underscores");
+            }
+            if (!isDate(from) || !isDate(to) || from > to) {
+                return renderError("Pick a start and an end date for the statement, in that order");
+            }
+            // #endregion
+        }
+
+        contributionsDAO(req).getByUserId(parseInt(userId), (err, contributions) => {
+            if (err) return next(err);
+
+            allocationsDAO(req).getByUserIdAndThreshold(userId, null, "impossible", (err, allocations) => {
+                // Users without allocations get a statement of their contributions only
+                if (err && typeof err !== "string") return next(err);
+
+                const dir = path.join(os.tmpdir(), `statement-${crypto.randomBytes(8).toString("hex")}`);
+                const archive = path.join(dir, `${fileName}.tar.gz`);
+                const statementFile = `statement_${from}_${to}.txt`;
+                const cleanUp = () => removeStatementDir(dir);
+                const statement = formatStatement(contributions, allocations || [], from, to);
+
+                const sendArchive = err => {
+                    if (err) {
+                        cleanUp();
+                        return renderError(`Unable to create the statement archive: ${err.message}`);
+                    }
+                    return res.download(archive, `${fileName}.tar.gz`, cleanUp);
+                };
+
+                fs.mkdir(dir, err => {
+                    if (err) return next(err);
+
+                    fs.writeFile(path.join(dir, statementFile), statement, err => {
+                        if (err) return next(err);
+
+                        if (isSecure("command-injection", req.session)) {
+                            // #region fixed command-injection
+                            // Arguments are passed to tar as they are, no shell ever reads them
+                            return execFile("tar", ["-czf", archive, "-C", dir, statementFile], sendArchive);
+                            // #endregion
+                        }
+
+                        // #region vulnerable command-injection
+                        // The command is a string run by a shell, with the input of the user in it
+                        exploitDetector.command(req, [fileName, from, to]);
+                        return exec(`tar -czf ${archive} -C ${dir} ${statementFile}`, sendArchive);
+                        // #endregion
+                    });
+                });
+            });
+        });
+    };
+}
+
+module.exports = StatementsHandler;
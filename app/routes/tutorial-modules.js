@@ -0,0 +1,309 @@
+const fs = require("fs");
+const path = require("path");
+const frontMatter = require("front-matter");
+const { compareRegions } = require("./code-regions");
+const { certificateModules: configuredCertificateModules } = require("../../config/config");
+
+// Every Markdown file in this directory is a tutorial module, its front matter describes the module
+// and the body holds the content. Dropping a new file in is all it takes to add a module.
+const MODULES_DIR = path.join(__dirname, "../views/tutorial/modules");
+
+// The categories of the 2021 edition of the OWASP Top 10, one Markdown file each. Modules are written around
+// the 2013 list and tag the 2021 categories they belong to, every category gets a landing page listing them.
+const OWASP_2021_DIR = path.join(__dirname, "../views/tutorial/owasp-2021");
+
+// Guided tours are found by module id, a module has one when there is a <module id>-steps.js in here
+const TOURS_DIR = path.join(__dirname, "../assets/js/tour");
+
+// OWASP risk ratings shown as labels on top of a module, in the order they are listed
+const RISK_RATINGS = {
+    exploitability: "Exploitability",
+    prevalence: "Prevalence",
+    detectability: "Detectability",
+    impact: "Technical Impact"
+};
+
+const RISK_LEVELS = {
+    "EASY": "danger",
+    "WIDESPREAD": "danger",
+    "VERY WIDESPREAD": "danger",
+    "SEVERE": "danger",
+    "AVERAGE": "warning",
+    "COMMON": "warning",
+    "MODERATE": "warning"
+};
+
+// Splits the Markdown body on its "## " headings, each of which becomes a panel of the page. The "### "
+// headings within a section become panels nested in it. Headings inside code blocks are left alone.
+const sectionsOf = body => {
+    "use strict";
+
+    const sections = [];
+    let target = null;
+    let fenced = false;
+
+    body.split("\n").forEach(line => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            fenced = !fenced;
+        }
+
+        const heading = !fenced && line.match(/^(###?) (\S[\s\S]*)$/);
+
+        if (heading && heading[1] === "##") {
+            target = {
+                title: heading[2].trim(),
+                body: "",
+                subsections: []
+            };
+            sections.push(target);
+            return;
+        }
+
+        if (!target) {
+            target = {
+                title: null,
+                body: "",
+                subsections: []
+            };
+            sections.push(target);
+        }
+
+        if (heading) {
+            target = {
+                title: heading[2].trim(),
+                body: ""
+            };
+            sections[sections.length - 1].subsections.push(target);
+            return;
+        }
+
+        target.body += `${line}\n`;
+    });
+
+    return sections.map(section => ({
+        title: section.title,
+        body: section.body.trim(),
+        subsections: section.subsections.map(subsection => ({
+            title: subsection.title,
+            body: subsection.body.trim()
+        }))
+    }));
+};
+
+// Short answers are compared regardless of case and spacing
+const normalizeAnswer = answer => {
+    "use strict";
+
+    return String(answer).trim().toLowerCase().replace(/\s+/g, " ");
+};
+
+// The quiz at the end of a module. Multiple choice questions list their choices and the right one, short
+// answer questions list every answer accepted.
+const quizOf = (file, questions) => {
+    "use strict";
+
+    return questions.map((question, index) => {
+        const valid = question.question && (question.choices ?
+            question.choices.includes(question.answer) : question.answers && question.answers.length);
+
+        if (!valid) {
+            throw new Error(`Question ${index + 1} of the ${file} quiz needs choices with the answer, or answers`);
+        }
+
+        return {
+            text: question.question,
+            type: question.choices ? "choice" : "short",
+            choices: question.choices || [],
+            answers: question.choices ? [question.answer] : question.answers.map(normalizeAnswer)
+        };
+    });
+};
+
+const loadCategory = file => {
+    "use strict";
+
+    const id = path.basename(file, ".md");
+    const {
+        attributes,
+        body
+    } = frontMatter(fs.readFileSync(path.join(OWASP_2021_DIR, file), "utf8"));
+
+    if (attributes.id !== id || !attributes.title) {
+        throw new Error(`OWASP 2021 category ${file} needs "id: ${id}" and a title in its front matter`);
+    }
+
+    return {
+        id,
+        page: `${id}-2021`,
+        code: `${id.toUpperCase()}:2021`,
+        title: attributes.title,
+        nav: attributes.nav || attributes.title,
+        cwe: attributes.cwe || [],
+        sections: sectionsOf(body)
+    };
+};
+
+const loadCategories = () => {
+    "use strict";
+
+    return fs.readdirSync(OWASP_2021_DIR)
+        .filter(file => path.extname(file) === ".md")
+        .map(loadCategory)
+        .sort((a, b) => a.id.localeCompare(b.id));
+};
+
+const categories = loadCategories();
+
+// The 2021 categories a module is tagged with
+const categoriesOf = (file, ids) => {
+    "use strict";
+
+    return ids.map(id => {
+        const category = categories.find(category => category.id === id);
+
+        if (!category) {
+            throw new Error(`Tutorial module ${file} is tagged with an unknown OWASP 2021 category: ${id}`);
+        }
+        return {
+            page: category.page,
+            label: `${category.code} ${category.title}`
+        };
+    });
+};
+
+const loadModule = file => {
+    "use strict";
+
+    const id = path.basename(file, ".md");
+    const {
+        attributes,
+        body
+    } = frontMatter(fs.readFileSync(path.join(MODULES_DIR, file), "utf8"));
+
+    if (attributes.id !== id || !attributes.title) {
+        throw new Error(`Tutorial module ${file} needs "id: ${id}" and a title in its front matter`);
+    }
+
+    const risk = attributes.risk || {};
+
+    return {
+        id,
+        title: attributes.title,
+        nav: attributes.nav || attributes.title,
+        order: attributes.order || Infinity,
+        owasp: attributes.owasp || null,
+        owasp2017: attributes.owasp2017 || null,
+        owasp2021: categoriesOf(file, attributes.owasp2021 || []),
+        cwe: attributes.cwe || [],
+        difficulty: attributes.difficulty || null,
+        // Whether the exploit detector can mark the module completed, modules it can't are left out of certificates
+        detected: !!attributes.detected,
+        risk: Object.keys(RISK_RATINGS).filter(rating => risk[rating]).map(rating => ({
+            name: RISK_RATINGS[rating],
+            value: risk[rating],
+            level: RISK_LEVELS[risk[rating]] || "default"
+        })),
+        routes: attributes.routes || [],
+        // Vulnerable and fixed code tagged in the sources, shown side by side
+        code: (attributes.code || []).map(({ title, file, region }) => ({
+            title,
+            file,
+            rows: compareRegions(file, region)
+        })),
+        hints: attributes.hints || [],
+        tour: fs.existsSync(path.join(TOURS_DIR, `${id}-steps.js`)),
+        quiz: quizOf(file, attributes.quiz || []),
+        sections: sectionsOf(body)
+    };
+};
+
+// Modules are read once on start up, in the order given by their front matter
+const loadModules = () => {
+    "use strict";
+
+    return fs.readdirSync(MODULES_DIR)
+        .filter(file => path.extname(file) === ".md")
+        .map(loadModule)
+        .sort((a, b) => a.order - b.order || a.id.localeCompare(b.id));
+};
+
+const modules = loadModules();
+
+// Modules of each 2021 category, in the order of the tutorial
+for (const category of categories) {
+    category.modules = [];
+    for (const tutorialModule of modules) {
+        for (const tagged of tutorialModule.owasp2021) {
+            if (tagged.page === category.page) {
+                category.modules.push(tutorialModule.id);
+            }
+        }
+    }
+}
+
+// Ids of the modules, the tutorial router serves a page for each
+const pages = [];
+for (const tutorialModule of modules) {
+    pages.push(tutorialModule.id);
+}
+
+const getModule = id => {
+    "use strict";
+
+    return modules.find(tutorialModule => tutorialModule.id === id);
+};
+
+// Modules to complete to earn a certificate, all of those a learner can complete unless a subset is configured
+const certificateModules = configuredCertificateModules.slice();
+if (!certificateModules.length) {
+    for (const tutorialModule of modules) {
+        if (tutorialModule.detected) {
+            certificateModules.push(tutorialModule.id);
+        }
+    }
+}
+for (const page of certificateModules) {
+    if (!pages.includes(page)) {
+        throw new Error(`Unknown tutorial module in the certificate modules: ${page}`);
+    }
+    if (!getModule(page).detected) {
+        throw new Error(`Tutorial module ${page} can't be completed, it can't be one of the certificate modules`);
+    }
+}
+
+// Share of the questions of a quiz to get right to pass it
+const QUIZ_PASS_MARK = 0.7;
+
+// Grades the answers to the quiz of a module. This is done on the server so the right answers never reach the
+// browser. Answers are listed in the order of the questions, multiple choice ones by the index of the choice.
+const gradeQuiz = (id, answers) => {
+    "use strict";
+
+    const { quiz } = getModule(id);
+    const results = quiz.map((question, index) => {
+        const answer = answers[index];
+
+        if (question.type === "choice") {
+            return question.choices[parseInt(answer)] === question.answers[0];
+        }
+        return !!answer && question.answers.includes(normalizeAnswer(answer));
+    });
+    const score = results.filter(correct => correct).length;
+
+    return {
+        answers,
+        results,
+        score,
+        total: quiz.length,
+        passed: score >= Math.ceil(quiz.length * QUIZ_PASS_MARK)
+    };
+};
+
+module.exports = {
+    modules,
+    pages,
+    getModule,
+    categories,
+    certificateModules,
+    gradeQuiz
+};
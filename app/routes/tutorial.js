@@ -1,39 +1,302 @@
 const express = require("express");
+const { ProgressDAO } = require("../data/progress-dao");
+const { ModuleLocksDAO } = require("../data/module-locks-dao");
+const { UserDAO } = require("../data/user-dao");
+const { QuizAttemptsDAO } = require("../data/quiz-attempts-dao");
+const { WorkshopsDAO } = require("../data/workshops-dao");
+const { MODULE_DATA } = require("../data/lab-dao");
 const {
-    environmentalScripts
+    modules,
+    pages,
+    getModule,
+    categories,
+    certificateModules,
+    gradeQuiz
+} = require("./tutorial-modules");
+const {
+    environmentalScripts,
+    vulnerabilities,
+    getLevel,
+    setLevel
 } = require("../../config/config");
 
-const router = express.Router();
+// Editions of the OWASP Top 10 the side nav can follow, the modules are the 2013/2017 list
+const EDITIONS = ["2017", "2021"];
+
+// Hints of every module go from vague to the fix, each tier is revealed after the previous one. They are
+// listed in the front matter of the module, one per tier.
+const HINT_TIERS = ["Where to look", "What to tamper with", "Try this", "How to fix it"];
+
+const revealedHints = (page, revealed) => {
+    "use strict";
+
+    return getModule(page).hints.slice(0, revealed).map((text, index) => ({
+        tier: HINT_TIERS[index],
+        text
+    }));
+};
 
-router.get("/", (req, res) => {
+// Vulnerabilities covered by a tutorial page that the learner can pick a difficulty level for
+const exercisesFor = (page, session) => {
     "use strict";
-    return res.render("tutorial/a1", {
-        environmentalScripts
+
+    return vulnerabilities
+        .filter(vulnerability => vulnerability.tutorial === page && !vulnerability.global)
+        .map(({ id, title, levels }) => ({
+            id,
+            title,
+            levels,
+            level: getLevel(id, session)
+        }));
+};
+
+// Modules with a quiz the learner passed at least once, keyed by page like the completed modules
+const passedQuizzesOf = attempts => {
+    "use strict";
+
+    return attempts.filter(attempt => attempt.passed).reduce((passed, attempt) => ({
+        ...passed,
+        [attempt.page]: true
+    }), {});
+};
+
+// The quiz of a page along with how the learner did on it so far, the last attempt is shown graded
+const quizFor = (page, attempts) => {
+    "use strict";
+
+    const pageAttempts = (attempts || []).filter(attempt => attempt.page === page);
+
+    return {
+        questions: getModule(page).quiz,
+        attemptCount: pageAttempts.length,
+        bestScore: Math.max(0, ...pageAttempts.map(attempt => attempt.score)),
+        passed: pageAttempts.some(attempt => attempt.passed),
+        lastAttempt: pageAttempts[pageAttempts.length - 1] || null
+    };
+};
+
+// Figures shown in the progress panel of the tutorial layout
+const summarize = (progress, attempts) => {
+    "use strict";
+
+    const visited = Object.keys(progress.visits).filter(page => pages.includes(page));
+    const completedCount = Object.keys(progress.completed).filter(page => pages.includes(page)).length;
+    const timeSpent = visited.reduce((total, page) => total + (progress.visits[page].timeSpent || 0), 0);
+    const hintsRevealed = Object.keys(progress.hints).reduce((total, page) => total + progress.hints[page], 0);
+    const quizzesPassed = Object.keys(passedQuizzesOf(attempts)).filter(page => pages.includes(page)).length;
+
+    return {
+        moduleCount: pages.length,
+        completedCount,
+        percentComplete: Math.round(completedCount * 100 / pages.length),
+        visitedCount: visited.length,
+        minutesSpent: Math.round(timeSpent / 60000),
+        hintsRevealed,
+        quizCount: pages.filter(page => getModule(page).quiz.length).length,
+        quizzesPassed,
+        certificateEarned: certificateModules.every(page => progress.completed[page])
+    };
+};
+
+/* The tutorial router must be constructed with a connected db */
+const tutorialRouter = (db) => {
+    "use strict";
+
+    const router = express.Router();
+
+    // The side nav of the tutorial layout lists every module, or every 2021 category when the learner browses
+    // by that edition. The edition picked is kept in the session.
+    router.use((req, res, next) => {
+        if (EDITIONS.includes(req.query.edition)) {
+            req.session.tutorialEdition = req.query.edition;
+        }
+
+        res.locals.tutorialModules = modules;
+        res.locals.owasp2021 = categories;
+        res.locals.edition = req.session.tutorialEdition || EDITIONS[0];
+        return next();
     });
-});
-
-const pages = [
-    "a1",
-    "a2",
-    "a3",
-    "a4",
-    "a5",
-    "a6",
-    "a7",
-    "a8",
-    "a9",
-    "a10",
-    "redos",
-    "ssrf"
-];
-
-for(const page of pages) {
-    router.get(`/${page}`, (req, res) => {
-        "use strict";
-        return res.render(`tutorial/${page}`, {
+
+    const progressDAO = new ProgressDAO(db);
+    const moduleLocksDAO = new ModuleLocksDAO(db);
+    const userDAO = new UserDAO(db);
+    const quizAttemptsDAO = new QuizAttemptsDAO(db);
+    const workshopsDAO = new WorkshopsDAO(db);
+
+    // Modules locked by an instructor stay closed to learners until the lock expires
+    const unlessLocked = (page) => (req, res, next) => {
+        moduleLocksDAO.getLockedUntil(page, (err, lockedUntil) => {
+            if (err) return next(err);
+            if (!lockedUntil) return next();
+
+            userDAO.getUserById(req.session.userId, (err, user) => {
+                if (err) return next(err);
+                if (user && (user.isInstructor || user.isAdmin)) return next();
+
+                return res.status(403).render("tutorial/locked", {
+                    lockedUntil,
+                    completed: {},
+                    environmentalScripts
+                });
+            });
+        });
+    };
+
+    const getProgress = (userId, callback) => {
+        progressDAO.getByUserId(userId, (err, progress) => {
+            if (err) return callback(err);
+
+            quizAttemptsDAO.getByUserId(userId, (err, attempts) => {
+                if (err) return callback(err);
+                return callback(null, progress, attempts);
+            });
+        });
+    };
+
+    // Progress is only tracked for logged in learners, everyone else just gets the page
+    const renderPage = (page) => (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+
+        const render = (progress, attempts, counting) => {
+            const revealed = progress && (progress.hints[page] || 0);
+
+            return res.render("tutorial/module", {
+                tutorialModule: getModule(page),
+                exercises: exercisesFor(page, req.session),
+                completed: progress ? progress.completed : {},
+                passedQuizzes: attempts ? passedQuizzesOf(attempts) : {},
+                quiz: quizFor(page, attempts),
+                // Learners in a workshop can't take the quiz of a module outside of it
+                quizClosed: counting === false,
+                progress: progress && summarize(progress, attempts),
+                hints: progress && revealedHints(page, revealed),
+                nextHintTier: progress && revealed < getModule(page).hints.length && HINT_TIERS[revealed],
+                moduleData: MODULE_DATA[page],
+                page,
+                environmentalScripts
+            });
+        };
+
+        if (!userId) return render();
+
+        progressDAO.recordVisit(userId, page, err => {
+            if (err) return next(err);
+
+            getProgress(userId, (err, progress, attempts) => {
+                if (err) return next(err);
+
+                workshopsDAO.isCounting(userId, page, (err, counting) => {
+                    if (err) return next(err);
+                    return render(progress, attempts, counting);
+                });
+            });
+        });
+    };
+
+    // Landing page of a 2021 category, linking to the modules tagged with it. Only the modules count as visits.
+    const renderCategory = (category) => (req, res, next) => {
+        const render = (progress, attempts) => res.render("tutorial/category", {
+            category,
+            categoryModules: category.modules.map(getModule),
+            completed: progress ? progress.completed : {},
+            passedQuizzes: attempts ? passedQuizzesOf(attempts) : {},
             environmentalScripts
         });
+
+        if (!req.session.userId) return render();
+
+        getProgress(req.session.userId, (err, progress, attempts) => {
+            if (err) return next(err);
+            return render(progress, attempts);
+        });
+    };
+
+    router.get("/", unlessLocked(pages[0]), renderPage(pages[0]));
+
+    // Store the difficulty level picked for a vulnerability in the learner session
+    router.post("/levels", (req, res, next) => {
+        const {
+            id,
+            level
+        } = req.body;
+
+        try {
+            setLevel(id, level, req.session);
+        } catch (err) {
+            return next(err);
+        }
+
+        const { tutorial } = vulnerabilities.find(vulnerability => vulnerability.id === id);
+        return res.redirect(`/tutorial/${tutorial}`);
+    });
+
+    // Progress is kept in the db so it survives logout, learners can start over, with the hints they revealed
+    router.post("/progress/reset", (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+
+        if (!userId) return res.redirect("/login");
+
+        progressDAO.restart(userId, err => {
+            if (err) return next(err);
+
+            quizAttemptsDAO.reset(userId, err => {
+                if (err) return next(err);
+                return res.redirect("/tutorial");
+            });
+        });
     });
-}
 
-module.exports = router;
+    for (const category of categories) {
+        router.get(`/${category.page}`, renderCategory(category));
+    }
+
+    for(const page of pages) {
+        router.get(`/${page}`, unlessLocked(page), renderPage(page));
+
+        // Reveals the next hint of the page, scoring deducts points for the hints revealed
+        router.post(`/${page}/hints`, unlessLocked(page), (req, res, next) => {
+            const {
+                userId
+            } = req.session;
+
+            if (!userId) return res.redirect("/login");
+
+            progressDAO.revealHint(userId, page, getModule(page).hints.length, err => {
+                if (err) return next(err);
+                return res.redirect(`/tutorial/${page}#hints`);
+            });
+        });
+
+        // Grades an attempt at the quiz of the page, the graded attempt is shown when the page is back
+        router.post(`/${page}/quiz`, unlessLocked(page), (req, res, next) => {
+            const {
+                userId
+            } = req.session;
+
+            if (!userId) return res.redirect("/login");
+
+            const answers = getModule(page).quiz.map((question, index) => String(req.body[`answer-${index}`] || ""));
+
+            workshopsDAO.isCounting(userId, page, (err, counting) => {
+                if (err) return next(err);
+                if (!counting) return res.redirect(`/tutorial/${page}#quiz`);
+
+                quizAttemptsDAO.recordAttempt(userId, page, gradeQuiz(page, answers), err => {
+                    if (err) return next(err);
+                    return res.redirect(`/tutorial/${page}#quiz`);
+                });
+            });
+        });
+    }
+
+    return router;
+};
+
+module.exports = {
+    tutorialRouter,
+    pages
+};
@@ -0,0 +1,88 @@
+const {
+    AccountsDAO,
+    withdrawnFrom
+} = require("../data/accounts-dao");
+const ExploitDetector = require("./exploit-detector");
+const {
+    environmentalScripts,
+    isSecure
+} = require("../../config/config");
+
+/* The WithdrawalsHandler must be constructed with a connected db. Pages are sent as HTML, or as JSON to
+ * clients asking for it, like artifacts/race-withdrawals.js. */
+function WithdrawalsHandler(db) {
+    "use strict";
+
+    const accountsDAO = new AccountsDAO(db);
+    const exploitDetector = new ExploitDetector(db);
+
+    const sendAccount = (res, status, account, data) => {
+        res.status(status).format({
+            html: () => res.render("withdrawals", {
+                ...account,
+                withdrawn: withdrawnFrom(account),
+                userId: account._id,
+                environmentalScripts,
+                ...data
+            }),
+            json: () => res.json({
+                balance: account.balance,
+                withdrawn: withdrawnFrom(account),
+                withdrawals: account.withdrawals.length,
+                ...data
+            })
+        });
+    };
+
+    this.displayWithdrawals = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+
+        accountsDAO.getByUserId(userId, (err, account) => {
+            if (err) return next(err);
+            return sendAccount(res, 200, account, {});
+        });
+    };
+
+    // Withdraws the amount of the form from the balance of the account of the user
+    this.handleWithdrawal = (req, res, next) => {
+        const {
+            userId
+        } = req.session;
+        const amount = parseInt(req.body.amount, 10);
+
+        const sendResult = (err, account) => {
+            if (err) return next(err);
+            if (account) {
+                exploitDetector.withdrawals(req, account);
+                return sendAccount(res, 200, account, {
+                    withdrawalSuccess: `Withdrew $${amount}`
+                });
+            }
+
+            return accountsDAO.getByUserId(userId, (err, account) => {
+                if (err) return next(err);
+                return sendAccount(res, 409, account, {
+                    withdrawalError: "The balance of the account is too low for this withdrawal"
+                });
+            });
+        };
+
+        if (isNaN(amount) || amount <= 0) {
+            return accountsDAO.getByUserId(userId, (err, account) => {
+                if (err) return next(err);
+                return sendAccount(res, 400, account, {
+                    withdrawalError: "Enter the amount to withdraw, in whole dollars"
+                });
+            });
+        }
+
+        if (isSecure("race-condition", req.session)) {
+            return accountsDAO.withdrawAtomically(userId, amount, sendResult);
+        }
+        return accountsDAO.withdraw(userId, amount, sendResult);
+    };
+}
+
+module.exports = WithdrawalsHandler;
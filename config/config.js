@@ -9,6 +9,104 @@ const envConf = require(path.resolve(__dirname + "/../config/env/" + finalEnv.to
 
 const config = { ...allConf, ...envConf };
 
+// Registry of the vulnerabilities demonstrated by the app. Every entry starts in its vulnerable state
+// unless listed in SECURE_VULNERABILITIES (comma separated ids, or "all"), and can be switched between
+// the vulnerable and the fixed implementation at runtime from /admin/vulnerabilities.
+const secureOnStartup = (process.env.SECURE_VULNERABILITIES || "").split(",");
+
+// Difficulty levels, DVWA style. "low" is the vulnerable code and "impossible" the fix, entries with
+// intermediate levels implement partial (and bypassable) defences for them.
+const LEVELS = ["low", "medium", "high", "impossible"];
+const BINARY_LEVELS = ["low", "impossible"];
+
+// Learners pick a level per vulnerability from the tutorial pages and it is kept in their session,
+// "global" entries can't be scoped to a session and are only switched for everyone by an admin.
+config.vulnerabilities = [
+    { id: "a1-1", title: "A1-1 Server Side JS Injection", tutorial: "a1", levels: LEVELS },
+    { id: "a1-2", title: "A1-2 NoSQL Injection", tutorial: "a1", levels: LEVELS },
+    { id: "a1-3", title: "A1-3 Log Injection", tutorial: "a1" },
+    { id: "a2-1", title: "A2-1 Plain Text Passwords", tutorial: "a2", global: true },
+    { id: "a2-2", title: "A2-2 Weak Password Policy and Verbose Login Errors", tutorial: "a2" },
+    { id: "a2-3", title: "A2-3 Session Fixation", tutorial: "a2" },
+    { id: "a3", title: "A3 XSS - Template Autoescape Disabled", tutorial: "a3", global: true },
+    { id: "a4", title: "A4 Insecure Direct Object References", tutorial: "a4" },
+    { id: "a7", title: "A7 Missing Function Level Access Control", tutorial: "a7" },
+    { id: "a8", title: "A8 Cross-Site Request Forgery", tutorial: "a8" },
+    { id: "a10", title: "A10 Unvalidated Redirects", tutorial: "a10" },
+    { id: "redos", title: "ReDoS - Catastrophic Backtracking", tutorial: "redos" },
+    { id: "ssrf", title: "Server-Side Request Forgery", tutorial: "ssrf", levels: LEVELS },
+    { id: "prototype-pollution", title: "Prototype Pollution", tutorial: "prototype-pollution" },
+    { id: "deserialization", title: "Insecure Deserialization", tutorial: "deserialization" },
+    { id: "file-upload", title: "File Upload and Path Traversal", tutorial: "file-upload" },
+    { id: "jwt", title: "JWT - Forged API Tokens", tutorial: "jwt" },
+    { id: "xxe", title: "XML External Entities (XXE)", tutorial: "xxe" },
+    { id: "command-injection", title: "OS Command Injection", tutorial: "command-injection" },
+    { id: "ssti", title: "Server-Side Template Injection", tutorial: "ssti" },
+    { id: "cors", title: "CORS Misconfiguration", tutorial: "cors" },
+    { id: "race-condition", title: "Race Condition - Withdrawals", tutorial: "race-condition" }
+].map(vulnerability => {
+    "use strict";
+
+    return {
+        levels: BINARY_LEVELS,
+        global: false,
+        ...vulnerability,
+        secure: secureOnStartup.includes("all") || secureOnStartup.includes(vulnerability.id)
+    };
+});
+
+config.levels = LEVELS;
+
+const findVulnerability = id => {
+    "use strict";
+
+    const vulnerability = _.findWhere(config.vulnerabilities, { id });
+    if (!vulnerability) {
+        throw new Error(`Unknown vulnerability: ${id}`);
+    }
+    return vulnerability;
+};
+
+// Level the given vulnerability runs at: the one the learner picked in the session, if any,
+// otherwise the state set by the admin
+config.getLevel = (id, session) => {
+    "use strict";
+
+    const vulnerability = findVulnerability(id);
+    const picked = !vulnerability.global && session && session.levels && session.levels[id];
+
+    if (picked && vulnerability.levels.includes(picked)) {
+        return picked;
+    }
+    return vulnerability.secure ? "impossible" : "low";
+};
+
+// Whether the fixed implementation of the given vulnerability is enabled
+config.isSecure = (id, session) => {
+    "use strict";
+
+    return config.getLevel(id, session) === "impossible";
+};
+
+config.setSecure = (id, secure) => {
+    "use strict";
+
+    findVulnerability(id).secure = !!secure;
+};
+
+config.setLevel = (id, level, session) => {
+    "use strict";
+
+    const vulnerability = findVulnerability(id);
+    if (vulnerability.global || !vulnerability.levels.includes(level)) {
+        throw new Error(`Level ${level} is not available for vulnerability: ${id}`);
+    }
+    session.levels = {
+        ...session.levels,
+        [id]: level
+    };
+};
+
 console.log(`Current Config:`);
 console.log(util.inspect(config, false, null));
 
@@ -1,4 +1,29 @@
 // default app configuration
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Certificates are verified long after they are issued, so unless CERTIFICATE_SECRET is set their key is
+// generated on the first start and saved in this file, which stays out of git
+const CERTIFICATE_SECRET_FILE = path.join(__dirname, "../../.certificate-secret");
+
+const certificateSecretOf = () => {
+    "use strict";
+
+    if (process.env.CERTIFICATE_SECRET) return process.env.CERTIFICATE_SECRET;
+
+    try {
+        fs.writeFileSync(CERTIFICATE_SECRET_FILE, crypto.randomBytes(32).toString("hex"), {
+            flag: "wx",
+            mode: 0o600
+        });
+    } catch (err) {
+        // Generated on an earlier start, or by another process of the app
+        if (err.code !== "EEXIST") throw err;
+    }
+    return fs.readFileSync(CERTIFICATE_SECRET_FILE, "utf8").trim();
+};
+
 const port = process.env.PORT || 4000;
 let db = process.env.MONGODB_URI || "mongodb://localhost:27017/nodegoat";
 
@@ -9,6 +34,20 @@ module.exports = {
     cryptoKey: "a_secure_key_for_crypto_here",
     cryptoAlgo: "aes256",
     hostName: "localhost",
+    // Give every learner a private copy of the app data, set LAB_ISOLATION=true for classrooms
+    labIsolation: process.env.LAB_ISOLATION === "true",
+    // Certificates of completion are signed with this key, learners earn one by completing the tutorial modules
+    // listed in CERTIFICATE_MODULES (comma separated ids), or all those with "detected: true" when it is not set
+    certificateSecret: certificateSecretOf(),
+    certificateModules: (process.env.CERTIFICATE_MODULES || "").split(",").filter(Boolean),
+    // Tokens of the JSON API once its fix is on, signed with a random key unless JWT_SECRET is set (tokens then don't
+    // survive a restart), and valid for jwtLifetime seconds
+    jwtSecret: process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex"),
+    jwtLifetime: 15 * 60,
+    // Origins allowed to read the account JSON endpoints with the cookies of the user once the fix for CORS is on
+    corsAllowedOrigins: (process.env.CORS_ALLOWED_ORIGINS || `http://localhost:${port}`).split(",").filter(Boolean),
+    // The page of the attacker for the CORS lab is served on this port, another origin than the app. 0 turns it off.
+    attackerPort: parseInt(process.env.ATTACKER_PORT || 4001),
     environmentalScripts: []
 };
 
@@ -3,8 +3,9 @@
 const express = require("express");
 const favicon = require("serve-favicon");
 const bodyParser = require("body-parser");
+const cookieParser = require("cookie-parser");
 const session = require("express-session");
-// const csrf = require('csurf');
+const csrf = require("csurf");
 const consolidate = require("consolidate"); // Templating library adapter for Express
 const swig = require("swig");
 // const helmet = require("helmet");
@@ -14,8 +15,11 @@ const marked = require("marked");
 //const nosniff = require('dont-sniff-mimetype');
 const app = express(); // Web framework to handle routing requests
 const routes = require("./app/routes");
-const { port, db, cookieSecret } = require("./config/config"); // Application config properties
+const { ChallengesDAO } = require("./app/data/challenges-dao");
+const { startAttackerServer } = require("./artifacts/attacker-server");
+const { port, db, cookieSecret, attackerPort, hostName, isSecure } = require("./config/config"); // Application config
 /*
+// #region fixed a6
 // Fix for A6-Sensitive Data Exposure
 // Load keys for establishing secure HTTPS connection
 const fs = require("fs");
@@ -25,6 +29,7 @@ const httpsOptions = {
     key: fs.readFileSync(path.resolve(__dirname, "./artifacts/cert/server.key")),
     cert: fs.readFileSync(path.resolve(__dirname, "./artifacts/cert/server.crt"))
 };
+// #endregion
 */
 
 MongoClient.connect(db, (err, db) => {
@@ -35,7 +40,16 @@ MongoClient.connect(db, (err, db) => {
     }
     console.log(`Connected to the database`);
 
+    // The flag of the A1-1 challenge lives in the environment of the server, where only injected code can read it.
+    // Flags are generated by artifacts/db-reset.js, so restart the server after resetting the database.
+    new ChallengesDAO(db).getById("a1-1", (err, challenge) => {
+        if (challenge) {
+            process.env.NODEGOAT_FLAG = challenge.flag;
+        }
+    });
+
     /*
+    // #region fixed a5
     // Fix for A5 - Security MisConfig
     // TODO: Review the rest of helmet options, like "xssFilter"
     // Remove default x-powered-by response header
@@ -62,6 +76,7 @@ MongoClient.connect(db, (err, db) => {
 
     // Forces browser to only use the Content-Type set in the response header instead of sniffing or guessing it
     app.use(nosniff());
+    // #endregion
     */
 
     // Adding/ remove HTTP Headers for security
@@ -74,6 +89,9 @@ MongoClient.connect(db, (err, db) => {
         extended: false
     }));
 
+    // Populates "req.cookies", and "req.signedCookies" with the cookies signed with the cookie secret
+    app.use(cookieParser(cookieSecret));
+
     // Enable session management using express middleware
     app.use(session({
         // genid: (req) => {
@@ -84,12 +102,15 @@ MongoClient.connect(db, (err, db) => {
         saveUninitialized: true,
         resave: true
         /*
+        // #region fixed a5
         // Fix for A5 - Security MisConfig
         // Use generic cookie name
         key: "sessionId",
+        // #endregion
         */
 
         /*
+        // #region fixed a3
         // Fix for A3 - XSS
         // TODO: Add "maxAge"
         cookie: {
@@ -97,20 +118,27 @@ MongoClient.connect(db, (err, db) => {
             // Remember to start an HTTPS server to get this working
             // secure: true
         }
+        // #endregion
         */
 
     }));
 
-    /*
+    // #region fixed a8
     // Fix for A8 - CSRF
-    // Enable Express csrf protection
-    app.use(csrf());
-    // Make csrf token available in templates
+    // Enable Express csrf protection while the fix is switched on in the vulnerability registry
+    const csrfProtection = csrf();
     app.use((req, res, next) => {
-        res.locals.csrftoken = req.csrfToken();
-        next();
+        // The JSON API authenticates with bearer tokens rather than cookies, browsers don't send them by themselves
+        if (!isSecure("a8", req.session) || req.path.startsWith("/api/")) return next();
+
+        csrfProtection(req, res, err => {
+            if (err) return next(err);
+            // Make csrf token available in templates
+            res.locals.csrftoken = req.csrfToken();
+            next();
+        });
     });
-    */
+    // #endregion
 
     // Register templating engine
     app.engine(".html", consolidate.swig);
@@ -128,30 +156,45 @@ MongoClient.connect(db, (err, db) => {
     });
     app.locals.marked = marked;
 
-    // Application routes
-    routes(app, db);
-
     // Template system setup
-    swig.setDefaults({
-        // Autoescape disabled
-        autoescape: false
-        /*
-        // Fix for A3 - XSS, enable auto escaping
-        autoescape: true // default value
-        */
+    // Autoescape is disabled unless the fix for A3 - XSS is switched on in the vulnerability registry,
+    // as that can happen at runtime compiled templates are dropped whenever the setting changes
+    let autoescape;
+    app.use((req, res, next) => {
+        if (autoescape !== isSecure("a3")) {
+            autoescape = isSecure("a3");
+            swig.setDefaults({
+                autoescape
+            });
+            swig.invalidateCache();
+            consolidate.clearCache();
+        }
+        next();
     });
 
+    // Application routes
+    routes(app, db);
+
+    // #region vulnerable a6
     // Insecure HTTP connection
     http.createServer(app).listen(port, () => {
         console.log(`Express http server listening on port ${port}`);
     });
+    // #endregion
+
+    // Another origin than the app, for the attacker page of the CORS lab
+    if (attackerPort) {
+        startAttackerServer(attackerPort, `http://${hostName}:${port}`);
+    }
 
     /*
+    // #region fixed a6
     // Fix for A6-Sensitive Data Exposure
     // Use secure HTTPS protocol
     https.createServer(httpsOptions, app).listen(port, () => {
         console.log(`Express http server listening on port ${port}`);
     });
+    // #endregion
     */
 
 });
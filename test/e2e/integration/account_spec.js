@@ -0,0 +1,60 @@
+/// <reference types="Cypress" />
+
+describe("/account behaviour", () => {
+  "use strict";
+
+  const attackerOrigin = "http://localhost:4001";
+
+  const requestProfile = origin => cy.request({
+    url: "/account/profile",
+    headers: {
+      Origin: origin
+    }
+  });
+
+  before(() => {
+    cy.dbReset();
+  });
+
+  afterEach(() => {
+    cy.visitPage("/logout");
+  });
+
+  it("Should redirect if the user has not logged in", () => {
+    cy.visitPage("/account/profile");
+    cy.url().should("include", "login");
+  });
+
+  it("Should return the profile of the user as JSON", () => {
+    cy.userSignIn();
+    requestProfile(attackerOrigin)
+      .its("body.userName")
+      .should("eq", "user1");
+  });
+
+  it("Should share the data with any origin, cookies included", () => {
+    cy.userSignIn();
+    requestProfile(attackerOrigin)
+      .its("headers")
+      .should("include", {
+        "access-control-allow-origin": attackerOrigin,
+        "access-control-allow-credentials": "true"
+      });
+    cy.visitPage("/tutorial/cors");
+    cy.get(".side-nav a[href='/tutorial/cors'] .fa-check")
+      .should("exist");
+  });
+
+  it("Should only share the data with the allowed origins once the fix is on", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/cors");
+    cy.get("#level-cors")
+      .select("impossible");
+    cy.get("#level-form-cors button[type='submit']")
+      .click();
+
+    requestProfile(attackerOrigin)
+      .its("headers")
+      .should("not.have.property", "access-control-allow-origin");
+  });
+});
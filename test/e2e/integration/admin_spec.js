@@ -0,0 +1,52 @@
+/// <reference types="Cypress" />
+
+describe("/admin/vulnerabilities behaviour", () => {
+  "use strict";
+
+  before(() => {
+    cy.dbReset();
+  });
+
+  afterEach(() => {
+    cy.visitPage("/logout");
+  });
+
+  it("Should redirect if the user has not logged in", () => {
+    cy.visitPage("/admin/vulnerabilities");
+    cy.url().should("include", "login");
+  });
+
+  it("Should redirect if the user is not an admin", () => {
+    cy.userSignIn();
+    cy.visitPage("/admin/vulnerabilities");
+    cy.url().should("include", "login");
+  });
+
+  it("Should list every vulnerability as vulnerable by default", () => {
+    cy.adminSignIn();
+    cy.visitPage("/admin/vulnerabilities");
+    cy.get("table tbody tr")
+      .should("have.length.greaterThan", 0);
+    cy.get("#vulnerability-a1-1 .label")
+      .invoke("text")
+      .should("eq", "Vulnerable");
+  });
+
+  it("Should switch a vulnerability to its fixed implementation and back", () => {
+    cy.adminSignIn();
+    cy.visitPage("/admin/vulnerabilities");
+    cy.get("#vulnerability-redos button[type='submit']")
+      .click();
+
+    cy.url().should("include", "/admin/vulnerabilities");
+    cy.get("#vulnerability-redos .label")
+      .invoke("text")
+      .should("eq", "Fixed");
+
+    cy.get("#vulnerability-redos button[type='submit']")
+      .click();
+    cy.get("#vulnerability-redos .label")
+      .invoke("text")
+      .should("eq", "Vulnerable");
+  });
+});
@@ -0,0 +1,61 @@
+/// <reference types="Cypress" />
+
+describe("/api behaviour", () => {
+  "use strict";
+
+  // {"alg":"none","typ":"JWT"} and {"sub":1} in base64url, without a signature
+  const unsignedAdminToken = "eyJhbGciOiJub25lIiwidHlwIjoiSldUIn0.eyJzdWIiOjF9.";
+
+  const requestContributions = token => cy.request({
+    url: "/api/contributions",
+    headers: {
+      Authorization: `Bearer ${token}`
+    },
+    failOnStatusCode: false
+  });
+
+  before(() => {
+    cy.dbReset();
+  });
+
+  afterEach(() => {
+    cy.visitPage("/logout");
+  });
+
+  it("Should require a token", () => {
+    cy.request({
+      url: "/api/contributions",
+      failOnStatusCode: false
+    }).its("status").should("eq", 401);
+  });
+
+  it("Should return the contributions of the user of the token", () => {
+    cy.fixture("users/user.json").then(user => {
+      cy.request("POST", "/api/token", {
+        userName: user.user,
+        password: user.pass
+      }).its("body.token").then(token => {
+        requestContributions(token).its("body.userName").should("eq", user.user);
+      });
+    });
+  });
+
+  it("Should accept an unsigned token for another user", () => {
+    cy.userSignIn();
+    requestContributions(unsignedAdminToken).its("body.userName").should("eq", "admin");
+    cy.visitPage("/tutorial/jwt");
+    cy.get(".side-nav a[href='/tutorial/jwt'] .fa-check")
+      .should("exist");
+  });
+
+  it("Should reject unsigned tokens once the fix is on", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/jwt");
+    cy.get("#level-jwt")
+      .select("impossible");
+    cy.get("#level-form-jwt button[type='submit']")
+      .click();
+
+    requestContributions(unsignedAdminToken).its("status").should("eq", 401);
+  });
+});
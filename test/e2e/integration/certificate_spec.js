@@ -0,0 +1,64 @@
+/// <reference types="Cypress" />
+
+describe("/certificate behaviour", () => {
+  "use strict";
+
+  before(() => {
+    cy.dbReset();
+  });
+
+  afterEach(() => {
+    cy.visitPage("/logout");
+  });
+
+  it("Should redirect if the user has not logged in", () => {
+    cy.visitPage("/certificate");
+    cy.url().should("include", "login");
+  });
+
+  it("Should list the modules left before the certificate is earned", () => {
+    cy.userSignIn();
+    cy.visitPage("/allocations/1");
+    cy.visitPage("/certificate");
+    cy.get("#certificate-pending")
+      .should("contain", "A1 - Injection")
+      .and("not.contain", "A4 - Insecure Direct Object References");
+  });
+
+  it("Should issue a certificate that can be verified once the modules are completed", () => {
+    cy.userSignIn();
+    cy.visitPage("/allocations/1");
+    cy.visitPage(`/allocations/2?threshold=${encodeURIComponent("1';return 1 == '1")}`);
+    cy.visitPage("/tutorial/a1");
+    cy.get("#certificate-link")
+      .should("exist");
+
+    cy.visitPage("/certificate");
+    cy.get("#certificate-name")
+      .should("contain", "John Doe");
+    cy.get("#certificate")
+      .should("contain", "A1 - Injection")
+      .and("contain", "A4 - Insecure Direct Object References");
+
+    cy.get("#verification-url")
+      .invoke("attr", "href")
+      .then(verificationUrl => {
+        cy.visitPage("/logout");
+        cy.visitPage(verificationUrl);
+      });
+    cy.get("#verification-result")
+      .should("contain", "authentic");
+    cy.get("#certificate-name")
+      .should("contain", "John Doe");
+  });
+
+  it("Should reject a certificate that was not signed by the app", () => {
+    cy.visitPage("/certificates/verify/eyJuYW1lIjoiSm9obiBEb2UifQ.Zm9yZ2Vk", {
+      failOnStatusCode: false
+    });
+    cy.get("#verification-result")
+      .should("contain", "not valid");
+    cy.get("#certificate")
+      .should("not.exist");
+  });
+});
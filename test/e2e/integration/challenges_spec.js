@@ -0,0 +1,66 @@
+/// <reference types="Cypress" />
+
+describe("/challenges behaviour", () => {
+  "use strict";
+
+  before(() => {
+    cy.dbReset();
+  });
+
+  afterEach(() => {
+    cy.visitPage("/logout");
+  });
+
+  it("Should redirect if the user has not logged in", () => {
+    cy.visitPage("/challenges");
+    cy.url().should("include", "login");
+  });
+
+  it("Should list the challenges", () => {
+    cy.userSignIn();
+    cy.visitPage("/challenges");
+    cy.get(".panel[id^='challenge-']")
+      .should("have.length", 3);
+  });
+
+  it("Should reject a wrong flag", () => {
+    cy.userSignIn();
+    cy.visitPage("/challenges");
+    cy.get("input[name='flag']")
+      .type("NodeGoat{wrong}");
+    cy.get("button[type='submit']")
+      .click();
+
+    cy.get(".alert-danger")
+      .contains("Incorrect flag")
+      .and("be.visible");
+  });
+
+  it("Should accept the flag found through another user's allocations", () => {
+    cy.userSignIn();
+    cy.visitPage("/allocations/1");
+    cy.contains("Advisor Notes")
+      .find("strong")
+      .invoke("text")
+      .then(flag => {
+        cy.visitPage("/challenges");
+        cy.get("input[name='flag']")
+          .type(flag);
+        cy.get("button[type='submit']")
+          .click();
+
+        cy.get(".alert-success")
+          .should("be.visible");
+        cy.get("#challenge-a4")
+          .should("have.class", "panel-success");
+      });
+  });
+
+  it("Should show the solve on the scoreboard", () => {
+    cy.userSignIn();
+    cy.visitPage("/challenges/scoreboard");
+    cy.get("table tbody tr")
+      .first()
+      .contains("user1");
+  });
+});
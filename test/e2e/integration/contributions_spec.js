@@ -3,6 +3,18 @@
 describe("/contributions behaviour", () => {
   "use strict";
 
+  // Posts a payroll file the way the import form does, and yields the page returned
+  const importPayroll = xml => {
+    cy.visitPage("/contributions");
+    return cy.get("#import-form").invoke("attr", "action").then(action => {
+      return cy.window().then(win => {
+        const form = new win.FormData();
+        form.append("payroll", new win.Blob([xml], { type: "text/xml" }), "payroll.xml");
+        return win.fetch(action, { method: "POST", body: form }).then(res => res.text());
+      });
+    });
+  };
+
   before(() => {
     cy.dbReset();
   });
@@ -52,4 +64,36 @@ describe("/contributions behaviour", () => {
 
     cy.url().should("include", "contributions");
   });
+
+  it("Should import the contributions of a payroll file", () => {
+    cy.userSignIn();
+    importPayroll("<payroll><preTax>9</preTax><afterTax>5</afterTax><roth>3</roth></payroll>")
+      .should("contain", "Contributions updated successfully");
+    cy.visitPage("/contributions");
+    cy.get("tbody > tr > td")
+      .eq(1)
+      .contains("9 %");
+  });
+
+  it("Should substitute external entities of a payroll file", () => {
+    cy.userSignIn();
+    importPayroll(`<?xml version="1.0"?>
+      <!DOCTYPE payroll [<!ENTITY passwd SYSTEM "file:///etc/passwd">]>
+      <payroll><preTax>&passwd;</preTax><afterTax>5</afterTax><roth>3</roth></payroll>`)
+      .should("contain", "root:");
+  });
+
+  it("Should reject payroll files with a DTD once the fix is on", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/xxe");
+    cy.get("#level-xxe")
+      .select("impossible");
+    cy.get("#level-form-xxe button[type='submit']")
+      .click();
+
+    importPayroll(`<?xml version="1.0"?>
+      <!DOCTYPE payroll [<!ENTITY passwd SYSTEM "file:///etc/passwd">]>
+      <payroll><preTax>&passwd;</preTax><afterTax>5</afterTax><roth>3</roth></payroll>`)
+      .should("contain", "Payroll files can't declare a DTD");
+  });
 });
@@ -35,4 +35,53 @@ describe("/dashboard behaviour", () => {
       .first()
       .should("have.attr", "href", "/contributions");
   });
+
+  it("Should link back to the last visited tutorial page after logging in again", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/a7");
+    cy.visitPage("/logout");
+    cy.userSignIn();
+    cy.visitPage("/dashboard");
+    cy.get("#continue-tutorial-link")
+      .should("have.attr", "href", "/tutorial/a7");
+  });
+
+  it("Should hide the panels unchecked in the display preferences", () => {
+    cy.userSignIn();
+    cy.visitPage("/dashboard");
+    cy.get("#display-form input[name='chart']")
+      .uncheck();
+    cy.get("#display-form button[type='submit']")
+      .click();
+    cy.get("#morris-chart-area")
+      .should("not.exist");
+    cy.getCookie("dashboardDisplay")
+      .should("exist");
+  });
+
+  it("Should run a function serialized in the display cookie", () => {
+    // {"chart":"_$$ND_FUNC$$_function(){return false}()"} in base64
+    const payload = "eyJjaGFydCI6Il8kJE5EX0ZVTkMkJF9mdW5jdGlvbigpe3JldHVybiBmYWxzZX0oKSJ9";
+
+    cy.userSignIn();
+    cy.setCookie("dashboardDisplay", payload);
+    cy.visitPage("/dashboard");
+    cy.visitPage("/tutorial/deserialization");
+    cy.get(".side-nav a[href='/tutorial/deserialization'] .fa-check")
+      .should("exist");
+  });
+
+  it("Should ignore a forged display cookie once the fix is on", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/deserialization");
+    cy.get("#level-deserialization")
+      .select("impossible");
+    cy.get("#level-form-deserialization button[type='submit']")
+      .click();
+
+    cy.setCookie("dashboardDisplay", "s:j:{\"chart\":false}.forged");
+    cy.visitPage("/dashboard");
+    cy.get("#morris-chart-area")
+      .should("exist");
+  });
 });
@@ -25,6 +25,14 @@ describe("General behaviour", () => {
       .should("be.visible")
       .should("have.attr", "href", "/allocations/1");
 
+    cy.get("#statements-menu-link")
+      .should("be.visible")
+      .should("have.attr", "href", "/statements");
+
+    cy.get("#withdrawals-menu-link")
+      .should("be.visible")
+      .should("have.attr", "href", "/withdrawals");
+
     cy.get("#memos-menu-link")
       .should("be.visible")
       .should("have.attr", "href", "/memos");
@@ -0,0 +1,141 @@
+/// <reference types="Cypress" />
+
+describe("/instructor behaviour", () => {
+  "use strict";
+
+  before(() => {
+    cy.dbReset();
+  });
+
+  afterEach(() => {
+    cy.visitPage("/logout");
+  });
+
+  it("Should redirect if the user has not logged in", () => {
+    cy.visitPage("/instructor");
+    cy.url().should("include", "login");
+  });
+
+  it("Should redirect if the user is not an instructor", () => {
+    cy.userSignIn();
+    cy.visitPage("/instructor");
+    cy.url().should("include", "login");
+  });
+
+  it("Should land instructors on the instructor area", () => {
+    cy.instructorSignIn();
+    cy.url().should("include", "instructor");
+    cy.get("#instructor-menu-link")
+      .should("be.visible");
+  });
+
+  it("Should list the learners with their hint usage", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/a4");
+    cy.get("#reveal-hint-form button[type='submit']")
+      .click();
+    cy.visitPage("/logout");
+
+    cy.instructorSignIn();
+    cy.visitPage("/instructor");
+    cy.get("#learner-2")
+      .should("contain", "user1");
+    cy.get("#learner-2 .hints-revealed")
+      .should("contain", "a4: 1");
+  });
+
+  it("Should list the quiz results of the learners", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/a4");
+    cy.get("#question-3 input[type='text']")
+      .type("/allocations");
+    cy.get("#quiz-form button[type='submit']")
+      .click();
+    cy.visitPage("/logout");
+
+    cy.instructorSignIn();
+    cy.visitPage("/instructor");
+    cy.get("#learner-2 .quiz-results")
+      .should("contain", "a4: 1/3");
+  });
+
+  it("Should reset the data of a learner", () => {
+    cy.instructorSignIn();
+    cy.visitPage("/instructor");
+    cy.get("#learner-2 button[type='submit']")
+      .click();
+    cy.get("#learner-2 .hints-revealed .label")
+      .should("have.length", 0);
+    cy.get("#learner-2 .quiz-results .label")
+      .should("have.length", 0);
+  });
+
+  it("Should restore the documents of a learner on a reset", () => {
+    cy.userSignIn();
+    cy.visitPage("/contributions");
+    cy.get("table")
+      .find("input")
+      .first()
+      .clear()
+      .type("12");
+    cy.get("button[type='submit']")
+      .click();
+    cy.get("tbody > tr > td")
+      .eq(1)
+      .contains("12 %");
+    cy.visitPage("/logout");
+
+    cy.instructorSignIn();
+    cy.visitPage("/instructor");
+    cy.get("#learner-2 button[type='submit']")
+      .click();
+    cy.visitPage("/logout");
+
+    cy.userSignIn();
+    cy.visitPage("/contributions");
+    cy.get("tbody > tr > td")
+      .eq(1)
+      .contains("2 %");
+  });
+
+  it("Should lock a tutorial module for learners until the given time", () => {
+    cy.instructorSignIn();
+    cy.visitPage("/instructor");
+    cy.get("#module-a5 input[name='until']")
+      .type("2099-01-01T10:00");
+    cy.get("#module-a5 button[type='submit']")
+      .first()
+      .click();
+    cy.get("#module-a5 .label")
+      .should("contain", "Locked until");
+    cy.visitPage("/logout");
+
+    cy.userSignIn();
+    cy.visitPage("/tutorial/a5", {
+      failOnStatusCode: false
+    });
+    cy.get("#module-locked")
+      .should("be.visible");
+  });
+
+  it("Should create a workshop with a code learners join it with", () => {
+    cy.instructorSignIn();
+    cy.visitPage("/instructor");
+    cy.get("#workshop-name")
+      .type("Friday class");
+    cy.get("#workshop-starts-at")
+      .type("2020-01-01T10:00");
+    cy.get("#workshop-ends-at")
+      .type("2099-01-01T10:00");
+    cy.get("#workshop-form input[value='a4']")
+      .check();
+    cy.get("#workshop-form button[type='submit']")
+      .click();
+    cy.get("#workshops")
+      .should("contain", "Friday class")
+      .and("contain", "running");
+    cy.get("#workshops .workshop-code")
+      .invoke("text")
+      .should("match", /^[0-9A-F]{6}$/);
+  });
+});
@@ -46,4 +46,72 @@ describe("/memos behaviour", () => {
       .should("be.visible")
       .contains(text);
   });
+
+  it("Should remove the memos of the user on a lab reset", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/a3");
+    cy.get("#reset-module-form button[type='submit']")
+      .click();
+    cy.url().should("include", "tutorial/a3");
+
+    cy.visitPage("/memos");
+    cy.get(".panel-body > p")
+      .should("not.exist");
+  });
+
+  it("Should start a memo from a saved template", () => {
+    cy.userSignIn();
+    cy.visitPage("/memos");
+    cy.get("#templateName")
+      .type("Greeting");
+    cy.get("#templateBody")
+      .type("Hello {{ firstName }}, {{ 7*7 }}", { parseSpecialCharSequences: false });
+    cy.get("#memo-template-form input[type='submit']")
+      .click();
+
+    cy.get(".memo-template")
+      .first()
+      .click();
+    cy.get("#memo")
+      .should("have.value", "Hello John, 49");
+  });
+
+  it("Should run code in a template through the template engine", () => {
+    cy.userSignIn();
+    cy.visitPage("/memos");
+    cy.get("#templateName")
+      .type("Version");
+    cy.get("#templateBody")
+      .type("{{ firstName.constructor.constructor(\"return process.version\")() }}", {
+        parseSpecialCharSequences: false
+      });
+    cy.get("#memo-template-form input[type='submit']")
+      .click();
+
+    cy.get(".memo-template")
+      .last()
+      .click();
+    cy.get("#memo")
+      .invoke("val")
+      .should("match", /^v\d+\./);
+    cy.visitPage("/tutorial/ssti");
+    cy.get(".side-nav a[href='/tutorial/ssti'] .fa-check")
+      .should("exist");
+  });
+
+  it("Should only fill in the placeholders of a template once the fix is on", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/ssti");
+    cy.get("#level-ssti")
+      .select("impossible");
+    cy.get("#level-form-ssti button[type='submit']")
+      .click();
+
+    cy.visitPage("/memos");
+    cy.get(".memo-template")
+      .first()
+      .click();
+    cy.get("#memo")
+      .should("have.value", "Hello John, {{ 7*7 }}");
+  });
 });
@@ -0,0 +1,85 @@
+/// <reference types="Cypress" />
+
+describe("/preferences behaviour", () => {
+  "use strict";
+
+  // Sent as a string, an object literal would set the prototype of the body rather than hold the key
+  const pollution = "{\"__proto__\": {\"isAdmin\": true}}";
+
+  before(() => {
+    cy.dbReset();
+  });
+
+  afterEach(() => {
+    cy.visitPage("/logout");
+  });
+
+  it("Should redirect if the user has not logged in", () => {
+    cy.visitPage("/preferences");
+    cy.url().should("include", "login");
+  });
+
+  it("Should save the preferences of the user", () => {
+    cy.userSignIn();
+    cy.visitPage("/preferences");
+    cy.get("#currency")
+      .select("EUR");
+    cy.get("#notify-email")
+      .check();
+    cy.get("#preferences-form button[type='submit']")
+      .click();
+    cy.get("#preferences-result")
+      .should("contain", "Preferences saved");
+
+    cy.visitPage("/preferences");
+    cy.get("#currency")
+      .invoke("val")
+      .should("eq", "EUR");
+    cy.get("#notify-email")
+      .should("be.checked");
+  });
+
+  it("Should let a polluted prototype turn every user into an admin", () => {
+    cy.userSignIn();
+    cy.visitPage("/admin/vulnerabilities");
+    cy.url().should("include", "login");
+
+    cy.userSignIn();
+    cy.request({
+      method: "POST",
+      url: "/preferences",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: pollution
+    });
+    cy.visitPage("/admin/vulnerabilities");
+    cy.url().should("include", "vulnerabilities");
+
+    cy.visitPage("/tutorial/prototype-pollution");
+    cy.get("#reset-module-form button[type='submit']")
+      .click();
+    cy.visitPage("/admin/vulnerabilities");
+    cy.url().should("include", "login");
+  });
+
+  it("Should not merge the prototype once the fix is on", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/prototype-pollution");
+    cy.get("#level-prototype-pollution")
+      .select("impossible");
+    cy.get("#level-form-prototype-pollution button[type='submit']")
+      .click();
+
+    cy.request({
+      method: "POST",
+      url: "/preferences",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: pollution
+    });
+    cy.visitPage("/admin/vulnerabilities");
+    cy.url().should("include", "login");
+  });
+});
@@ -67,4 +67,45 @@ describe("/profile behaviour", () => {
       .should("be.visible")
       .should("have.attr", "href");
   });
+
+  it("Should list the documents uploaded", () => {
+    cy.userSignIn();
+    cy.visitPage("/profile");
+    // The action of the form holds the CSRF token when the app checks it
+    cy.get("#document-form").invoke("attr", "action").then(action => {
+      cy.window().then(win => {
+        const form = new win.FormData();
+        form.append("document", new win.Blob(["%PDF-1.4"], { type: "application/pdf" }), "statement.pdf");
+        return win.fetch(action, { method: "POST", body: form });
+      });
+    });
+    cy.visitPage("/profile");
+    cy.get("#documents .document")
+      .should("have.length", 1)
+      .should("contain", "statement.pdf");
+  });
+
+  it("Should read files outside of the uploads folder", () => {
+    cy.userSignIn();
+    cy.request("/profile/documents?path=../package.json")
+      .its("body")
+      .should("contain", "\"name\"");
+    cy.visitPage("/tutorial/file-upload");
+    cy.get(".side-nav a[href='/tutorial/file-upload'] .fa-check")
+      .should("exist");
+  });
+
+  it("Should only read the documents of the user once the fix is on", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/file-upload");
+    cy.get("#level-file-upload")
+      .select("impossible");
+    cy.get("#level-form-file-upload button[type='submit']")
+      .click();
+
+    cy.request({
+      url: "/profile/documents?path=../package.json",
+      failOnStatusCode: false
+    }).its("status").should("eq", 404);
+  });
 });
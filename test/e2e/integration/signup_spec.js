@@ -25,7 +25,7 @@ describe("/signup behaviour", () => {
     cy.visitPage("/signup");
     cy.get("form[role='form']")
       .find("input")
-      .should("have.length", 7);
+      .should("have.length", 8);
   });
 
   it("Should new user be added to the system", () => {
@@ -65,6 +65,28 @@ describe("/signup behaviour", () => {
     });
   });
 
+  it("Should not add the user when the workshop code is unknown", () => {
+    cy.visitPage("/signup");
+    cy.get("#userName")
+      .type("workshopper");
+    cy.get("#firstName")
+      .type("Work");
+    cy.get("#lastName")
+      .type("Shopper");
+    cy.get("#password")
+      .type("Workshop_123");
+    cy.get("#verify")
+      .type("Workshop_123");
+    cy.get("#workshopCode")
+      .type("NOPE00");
+    cy.get("button[type='submit']")
+      .first()
+      .click();
+
+    cy.get(".alert-danger")
+      .should("contain", "Unknown workshop code");
+  });
+
   it("Should new user be able to login in the system", () => {
     cy.fixture("users/new_user.json").as("newUser");
     cy.get("@newUser").then(newUser => {
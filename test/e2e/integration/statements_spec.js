@@ -0,0 +1,87 @@
+/// <reference types="Cypress" />
+
+describe("/statements behaviour", () => {
+  "use strict";
+
+  // Posts the statement form and yields the response, the archive or the page with the error
+  const downloadStatement = (fileName, from = "2020-01-01", to = "2020-12-31") => {
+    cy.visitPage("/statements");
+    return cy.get("#statement-form input[name='_csrf']").invoke("val").then(csrf => {
+      return cy.request({
+        method: "POST",
+        url: "/statements",
+        form: true,
+        body: {
+          fileName,
+          from,
+          to,
+          _csrf: csrf
+        }
+      });
+    });
+  };
+
+  before(() => {
+    cy.dbReset();
+  });
+
+  afterEach(() => {
+    cy.visitPage("/logout");
+  });
+
+  it("Should redirect if the user has not logged in", () => {
+    cy.visitPage("/statements");
+    cy.url().should("include", "login");
+  });
+
+  it("Should download the statement as an archive", () => {
+    cy.userSignIn();
+    downloadStatement("my-statement")
+      .its("headers.content-disposition")
+      .should("contain", "my-statement.tar.gz");
+  });
+
+  it("Should run the commands chained to the file name", () => {
+    cy.userSignIn();
+    // The shell works out the product, so it only shows in the error output when the command did run
+    downloadStatement("x; echo injected-$((6 * 7)) >&2; false")
+      .its("body")
+      .should("contain", "injected-42");
+    cy.visitPage("/tutorial/command-injection");
+    cy.get(".side-nav a[href='/tutorial/command-injection'] .fa-check")
+      .should("exist");
+  });
+
+  it("Should run the commands chained to the dates", () => {
+    cy.userSignIn();
+    downloadStatement("statement", "2020-01-01", "x; echo injected-$((6 * 7)) >&2; false;")
+      .its("body")
+      .should("contain", "injected-42");
+  });
+
+  it("Should reject file names that are not plain words once the fix is on", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/command-injection");
+    cy.get("#level-command-injection")
+      .select("impossible");
+    cy.get("#level-form-command-injection button[type='submit']")
+      .click();
+
+    downloadStatement("x; false")
+      .its("body")
+      .should("contain", "The file name can only hold letters, digits, dashes and underscores");
+  });
+
+  it("Should reject dates that are not real dates once the fix is on", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/command-injection");
+    cy.get("#level-command-injection")
+      .select("impossible");
+    cy.get("#level-form-command-injection button[type='submit']")
+      .click();
+
+    downloadStatement("statement", "2020-01-01", "2020-12-31; false")
+      .its("body")
+      .should("contain", "Pick a start and an end date for the statement, in that order");
+  });
+});
@@ -9,7 +9,7 @@ describe("/tutorial behaviour", () => {
     cy.get(".side-nav")
       .should("be.visible")
       .find("a")
-      .should("have.length", 12);
+      .should("have.length", 21);
   });
 
   it("Should exists /tutorial/a1", () => {
@@ -70,4 +70,238 @@ describe("/tutorial behaviour", () => {
     cy.visitPage("/tutorial/ssrf");
     cy.url().should("include", "ssrf");
   });
+
+  it("Should exists /tutorial/prototype-pollution", () => {
+    cy.visitPage("/tutorial/prototype-pollution");
+    cy.url().should("include", "prototype-pollution");
+  });
+
+  it("Should exists /tutorial/deserialization", () => {
+    cy.visitPage("/tutorial/deserialization");
+    cy.url().should("include", "deserialization");
+  });
+
+  it("Should exists /tutorial/file-upload", () => {
+    cy.visitPage("/tutorial/file-upload");
+    cy.url().should("include", "file-upload");
+  });
+
+  it("Should exists /tutorial/jwt", () => {
+    cy.visitPage("/tutorial/jwt");
+    cy.url().should("include", "jwt");
+  });
+
+  it("Should exists /tutorial/xxe", () => {
+    cy.visitPage("/tutorial/xxe");
+    cy.url().should("include", "xxe");
+  });
+
+  it("Should exists /tutorial/command-injection", () => {
+    cy.visitPage("/tutorial/command-injection");
+    cy.url().should("include", "command-injection");
+  });
+
+  it("Should exists /tutorial/ssti", () => {
+    cy.visitPage("/tutorial/ssti");
+    cy.url().should("include", "ssti");
+  });
+
+  it("Should exists /tutorial/cors", () => {
+    cy.visitPage("/tutorial/cors");
+    cy.url().should("include", "cors");
+  });
+
+  it("Should exists /tutorial/race-condition", () => {
+    cy.visitPage("/tutorial/race-condition");
+    cy.url().should("include", "race-condition");
+  });
+
+  it("Should render the module from its Markdown and front matter", () => {
+    cy.visitPage("/tutorial/a4");
+    cy.get("h1")
+      .should("contain", "A4 - Insecure Direct Object References");
+    cy.get("#module-info")
+      .should("contain", "A4:2013")
+      .and("contain", "Difficulty: beginner")
+      .and("contain", "/allocations/:userId");
+    cy.get(".panel-info .panel-title")
+      .should("contain", "How Do I Prevent It?");
+  });
+
+  it("Should show the vulnerable and the fixed code side by side", () => {
+    cy.visitPage("/tutorial/a1");
+    cy.get("#code-viewer #code-1")
+      .should("contain", "eval(req.body.preTax)")
+      .and("contain", "parseInt(req.body.preTax)");
+    cy.get("#code-viewer #code-1 tr.code-changed")
+      .should("have.length.greaterThan", 0);
+    cy.visitPage("/tutorial/a9");
+    cy.get("#code-viewer")
+      .should("not.exist");
+  });
+
+  it("Should have a difficulty level selector for the module exercises", () => {
+    cy.visitPage("/tutorial/a1");
+    cy.get("#difficulty-levels select")
+      .should("have.length.greaterThan", 0);
+    cy.get("#level-a1-2 option")
+      .should("have.length", 4);
+  });
+
+  it("Should keep the selected difficulty level in the session", () => {
+    cy.visitPage("/tutorial/ssrf");
+    cy.get("#level-ssrf")
+      .select("medium");
+    cy.get("#level-form-ssrf button[type='submit']")
+      .click();
+
+    cy.url().should("include", "/tutorial/ssrf");
+    cy.get("#level-ssrf")
+      .invoke("val")
+      .should("eq", "medium");
+  });
+
+  it("Should mark a module as completed once it has been exploited", () => {
+    cy.dbReset();
+    cy.userSignIn();
+    cy.visitPage("/allocations/1");
+    cy.visitPage("/tutorial/a4");
+    cy.get(".side-nav a[href='/tutorial/a4'] .fa-check")
+      .should("exist");
+    cy.get(".side-nav a[href='/tutorial/a1'] .fa-check")
+      .should("not.exist");
+    cy.visitPage("/logout");
+  });
+
+  it("Should track and reset the progress of a logged in learner", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/a2");
+    cy.visitPage("/tutorial/a3");
+    cy.get("#progress-summary")
+      .should("contain", "pages visited");
+    cy.get("#tutorial-progress .progress-bar")
+      .should("exist");
+
+    cy.get("#reset-progress-form button[type='submit']")
+      .click();
+    cy.get("#progress-summary")
+      .should("contain", "0 of 21 modules completed, 1 pages visited");
+    cy.visitPage("/logout");
+  });
+
+  it("Should reveal the hints of a module one at a time", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/a10");
+    cy.get("#hints .hint")
+      .should("have.length", 0);
+
+    cy.get("#reveal-hint-form button[type='submit']")
+      .click();
+    cy.get("#hints .hint")
+      .should("have.length", 1);
+
+    cy.get("#reveal-hint-form button[type='submit']")
+      .click();
+    cy.get("#hint-2")
+      .should("contain", "What to tamper with");
+    cy.get("#progress-summary")
+      .should("contain", "2 hints revealed");
+    cy.visitPage("/logout");
+  });
+
+  it("Should keep the hints revealed when the learner resets the progress", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/a10");
+    cy.get("#reset-progress-form button[type='submit']")
+      .click();
+    cy.get("#progress-summary")
+      .should("contain", "0 of 21 modules completed")
+      .and("contain", "2 hints revealed");
+    cy.visitPage("/tutorial/a10");
+    cy.get("#hints .hint")
+      .should("have.length", 2);
+    cy.visitPage("/logout");
+  });
+
+  it("Should grade the quiz of a module and count it in the progress", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/a10");
+    cy.get("#question-1 input[type='radio']")
+      .first()
+      .check();
+    cy.get("#question-2 input[type='radio']")
+      .last()
+      .check();
+    cy.get("#question-3 input[type='text']")
+      .type("url");
+    cy.get("#quiz-form button[type='submit']")
+      .click();
+    cy.get("#quiz-result")
+      .should("contain", "You got 2 of 3 right");
+
+    cy.get("#question-2 input[type='radio']")
+      .first()
+      .check();
+    cy.get("#quiz-form button[type='submit']")
+      .click();
+    cy.get("#quiz-result")
+      .should("contain", "quiz passed");
+    cy.get("#progress-summary")
+      .should("contain", "1 of 21 quizzes passed");
+    cy.visitPage("/logout");
+  });
+
+  it("Should walk the learner through the pages of a module with its guided tour", () => {
+    cy.userSignIn();
+    cy.visitPage("/tutorial/a1");
+    cy.get("#module-tour button[data-tour='a1']")
+      .click();
+    cy.get(".popover")
+      .should("contain", "A1 Injection");
+
+    cy.get(".popover [data-role='next']")
+      .click();
+    cy.url().should("include", "/contributions");
+    cy.get(".popover")
+      .should("contain", "Server side JavaScript injection");
+
+    cy.get(".popover [data-role='end']")
+      .click();
+    cy.get(".popover")
+      .should("not.exist");
+    cy.visitPage("/logout");
+  });
+
+  it("Should tag the modules with their OWASP 2017 and 2021 categories", () => {
+    cy.visitPage("/tutorial/a3");
+    cy.get("#module-info")
+      .should("contain", "A7:2017 Cross-Site Scripting (XSS)")
+      .and("contain", "A03:2021 Injection")
+      .and("contain", "CWE-79");
+  });
+
+  it("Should browse the tutorial by the 2021 edition", () => {
+    cy.visitPage("/tutorial/a1");
+    cy.get("#edition")
+      .select("2021");
+    cy.get("#edition-form button[type='submit']")
+      .click();
+    cy.get(".side-nav a")
+      .should("have.length", 10)
+      .and("contain", "A08 Data Integrity");
+
+    cy.get(".side-nav a[href='/tutorial/a08-2021']")
+      .click();
+    cy.get("h1")
+      .should("contain", "A08:2021 - Software and Data Integrity Failures");
+    cy.get("#category-modules a[href='/tutorial/a9']")
+      .should("exist");
+
+    cy.get("#edition")
+      .select("2017");
+    cy.get("#edition-form button[type='submit']")
+      .click();
+    cy.get(".side-nav a")
+      .should("have.length", 21);
+  });
 });
@@ -0,0 +1,77 @@
+/// <reference types="Cypress" />
+
+describe("/withdrawals behaviour", () => {
+  "use strict";
+
+  // Sends withdrawals of the amount all at once from the page, and yields the status codes of the responses
+  const withdrawAtOnce = (requests, amount) => {
+    return cy.get("#withdrawal-form input[name='_csrf']").invoke("val").then(csrf => {
+      return cy.window().then(win => Promise.all(Array.from({ length: requests }, () => win.fetch("/withdrawals", {
+        method: "POST",
+        credentials: "same-origin",
+        headers: {
+          "Accept": "application/json",
+          "Content-Type": "application/x-www-form-urlencoded"
+        },
+        body: `amount=${amount}&_csrf=${encodeURIComponent(csrf || "")}`
+      }).then(response => response.status))));
+    });
+  };
+
+  before(() => {
+    cy.dbReset();
+  });
+
+  beforeEach(() => {
+    cy.userSignIn();
+    cy.request("POST", "/lab/reset");
+  });
+
+  afterEach(() => {
+    cy.visitPage("/logout");
+  });
+
+  it("Should refuse a withdrawal larger than the balance", () => {
+    cy.visitPage("/withdrawals");
+    cy.get("#balance")
+      .should("contain", "$5000");
+    cy.get("#amount")
+      .type("6000");
+    cy.get("#withdrawal-form button[type='submit']")
+      .click();
+    cy.get("#withdrawal-error")
+      .should("contain", "too low");
+    cy.get("#balance")
+      .should("contain", "$5000");
+  });
+
+  it("Should withdraw more than the balance with withdrawals sent at once", () => {
+    cy.visitPage("/withdrawals");
+    withdrawAtOnce(5, 5000)
+      .then(statuses => statuses.filter(status => status === 200))
+      .its("length")
+      .should("be.greaterThan", 1);
+    cy.visitPage("/tutorial/race-condition");
+    cy.get(".side-nav a[href='/tutorial/race-condition'] .fa-check")
+      .should("exist");
+  });
+
+  it("Should only let one of the withdrawals through once the fix is on", () => {
+    cy.visitPage("/tutorial/race-condition");
+    cy.get("#level-race-condition")
+      .select("impossible");
+    cy.get("#level-form-race-condition button[type='submit']")
+      .click();
+
+    cy.visitPage("/withdrawals");
+    withdrawAtOnce(5, 5000)
+      .then(statuses => statuses.filter(status => status === 200))
+      .its("length")
+      .should("eq", 1);
+    cy.visitPage("/withdrawals");
+    cy.get("#balance")
+      .should("contain", "$0");
+    cy.get(".withdrawal")
+      .should("have.length", 1);
+  });
+});
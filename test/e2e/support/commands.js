@@ -22,6 +22,13 @@
     });
   });
 
+  Cypress.Commands.add("instructorSignIn", () => {
+    cy.fixture("users/instructor.json").as("instructor");
+    cy.get("@instructor").then(instructor => {
+      cy.signIn(instructor.user, instructor.pass);
+    });
+  });
+
   Cypress.Commands.add("visitPage", (path = "/", config = {}) => {
     cy.visit(path, config);
   });